@@ -1,43 +1,26 @@
 // ==UserScript==
 // @name        RPG.SE Chat Fudge Dice
 // @namespace   https://github.com/spacemonaut/
-// @description Convert RPG.SE chat d6 to Fudge dice (dF) on Stack Exchange Chat
+// @description Convert RPG.SE chat d6 to Fudge dice (dF) on Stack Exchange Chat, and in any other chat room you opt in
 // @grant       none
 // @include     https://chat.stackexchange.com/rooms/*
 // @include     https://chat.stackexchange.com/transcript/*
+// @include     https://chat.stackexchange.com/search*
+// @include     https://chat.stackexchange.com/users/*
+// @include     https://chat.meta.stackexchange.com/rooms/*
+// @include     https://chat.meta.stackexchange.com/transcript/*
+// @include     https://chat.meta.stackexchange.com/search*
+// @include     https://chat.meta.stackexchange.com/users/*
+// @include     https://chat.stackoverflow.com/rooms/*
+// @include     https://chat.stackoverflow.com/transcript/*
+// @include     https://chat.stackoverflow.com/search*
+// @include     https://chat.stackoverflow.com/users/*
 // @version     2.1.0
 // @run-at      document-idle
 // @downloadURL https://github.com/spacemonaut/rpgse-chat-fudge-dice/raw/main/src/index.user.js
 // ==/UserScript==
 
 
-/**
- * Independent debounce function by you-dont-need
- * 
- * Creates a debounce container for a function. When a sequence of calls to the function ends, the argument function is triggered.
- * 
- * @see https://github.com/you-dont-need/You-Dont-Need-Lodash-Underscore#_debounce
- * 
- * @param {Function} func The function to debounce
- * @param {number} wait The debounce window in milliseconds
- * @param {boolean} [immediate=false] Override to trigger at the beginning of the sequence instead of the end.
- * @returns A debounced version of a function.
- */
-function debounce(func, wait, immediate) {
-  let timeout;
-
-  return function() {
-    clearTimeout(timeout);
-
-    timeout = setTimeout(() => {
-      timeout = null;
-      if (!immediate) func.apply(this, arguments);
-    }, wait);
-
-    if (immediate && !timeout) func.apply(this, arguments);
-  };
-}
-
 /**
  * @enum {number} Fudge score value
  * @readonly
@@ -87,778 +70,6680 @@ class FudgeUtil {
         return '';
     }
   }
-}
-
-/**
- * Shared names for HTML/CSS classes, attributes, and variable names.
- */
-const HtmlClass = Object.freeze({
-  /** @readonly */
-  FudgeRoot: 'fudge-running',
-  /** @readonly */
-  FudgeOn: 'fudge--on',
-  /** @readonly */
-  FudgeColorsOn: 'fudge-colors--on',
-  /** @readonly */
-  FudgeDie: 'fudge-die',
-  /** @readonly */
-  FudgeDieFace: 'fudge-die-face',
-  /** @readonly */
-  FudgeDieFaceSymbol: 'fudge-die-face-symbol',
-});
 
-const HtmlAttribute = Object.freeze({
-  /** @readonly */
-  DataD6Score: 'data-d6-score',
-  /** @readonly */
-  DataFudgeScore: 'data-fudge-score',
-});
-  
-const CssAttribute = Object.freeze({
-  /** @readonly */
-  FudgeDiceMinusColor: '--fudge-dice-minus-color',
-  /** @readonly */
-  FudgeDicePlusColor: '--fudge-dice-plus-color',
-});
+  /**
+   * Add up a group of fudge scores.
+   * 
+   * @public
+   * @param {FudgeScore[]} scores The fudge scores to add up
+   * @returns {number} The total of all the scores
+   */
+  static sumScores(scores) {
+    return scores.reduce((total, score) => total + score, 0);
+  }
 
-/**
- * Utilities for interacting with a Chat.SE page.
- * @abstract
- */
-class ChatUtil {
   /**
-   * Check if we're in a live chat room
+   * Convert a roll total to its display equivalent, with an explicit sign.
+   * 
+   * This is plain text rather than HTML, so it's also safe to use in tooltips.
    * 
    * @public
-   * @returns {boolean} Whether we're in a live chat room
+   * @param {number} total The total to display
+   * @returns {string} A string representing the total, e.g. `+2`
    */
-  static get inLiveRoom() {
-    return window.location.pathname.includes('/rooms/') && !this.inConversation;
+  static displayTotal(total) {
+    if (total > 0) {
+      return `+${total}`;
+    } else if (total < 0) {
+      return `\u2212${Math.abs(total)}`;
+    }
+    return '0';
   }
 
   /**
-   * Check if we're in a transcript page
+   * Convert a group of fudge scores to plain text, e.g. `[+][−][ ][+]`.
    * 
    * @public
-   * @returns {boolean} Whether we're in a transcript page
+   * @param {FudgeScore[]} scores The fudge scores to show
+   * @returns {string} The faces as plain text
    */
-  static get inTranscript() {
-    return window.location.pathname.includes('/transcript/');
+  static describeFaces(scores) {
+    return scores.map(score => {
+      switch (score) {
+        case FudgeScore.Minus:
+          return '[\u2212]';
+        case FudgeScore.Plus:
+          return '[+]';
+        default:
+          return '[ ]';
+      }
+    }).join('');
   }
 
   /**
-   * Check in we're in a conversation aka bookmark.
+   * Get the exact chance of rolling each total on a number of fudge dice.
    * 
    * @public
-   * @returns {boolean} Whether we're in a conversation/bookmark page
+   * @param {number} count The number of fudge dice rolled
+   * @returns {number[]} The chance of each total, indexed by `total + count`
    */
-  static get inConversation() {
-    // this split will turn into this for a conversation:
-    // ["", "rooms", "11", "conversation", "conversation-name-goes-here" ]
-    const pathParts = window.location.pathname.split('/', 5);
-    return pathParts.length >= 5 && pathParts[3] === 'conversation';
+  static distribution(count) {
+    let chances = [1];
+    for (let i = 0; i < count; i++) {
+      const next = new Array(chances.length + 2).fill(0);
+      chances.forEach((chance, index) => {
+        next[index] += chance / 3;
+        next[index + 1] += chance / 3;
+        next[index + 2] += chance / 3;
+      });
+      chances = next;
+    }
+    return chances;
   }
 
   /**
-   * Check if the room is live, i.e. new messages will be arriving.
+   * Get the exact chance of rolling at least a total on a number of fudge dice.
    * 
    * @public
-   * @returns {boolean} Whether the page is live
+   * @param {number} count The number of fudge dice rolled
+   * @param {number} total The lowest total that counts
+   * @returns {number} The chance, from 0 to 1
    */
-  static get isLive() {
-    return this.inLiveRoom;
+  static chanceAtLeast(count, total) {
+    return FudgeUtil.distribution(count)
+      .filter((_, index) => index - count >= total)
+      .reduce((sum, chance) => sum + chance, 0);
   }
 
   /**
-   * Get the current room ID.
+   * Get the exact chance of rolling at most a total on a number of fudge dice.
    * 
    * @public
+   * @param {number} count The number of fudge dice rolled
+   * @param {number} total The highest total that counts
+   * @returns {number} The chance, from 0 to 1
    */
-  static get roomId() {
-    // this split will turn into one of these for the Fate room:
-    // ["", "room", "11"]
-    // ["", "transcript", "11"]
-    const pathParts = window.location.pathname.split('/', 3);
-    return pathParts[2];
+  static chanceAtMost(count, total) {
+    return 1 - FudgeUtil.chanceAtLeast(count, total + 1);
   }
 
   /**
-   * Check to see if the chat room is on RPG.SE.
-   * Other chat rooms don't have dice, so there's no point in running the script there.
+   * Convert a chance to a percentage for display.
    * 
    * @public
+   * @param {number} chance The chance, from 0 to 1
+   * @returns {string} The percentage, e.g. `38.3%`
    */
-  static chatroomIsOnRpgSe() {
-    return document.querySelector('#footer-logo a:link')?.getAttribute('href')?.includes('rpg.stackexchange.com') ?? false;
+  static displayChance(chance) {
+    if (chance > 0 && chance < 0.0005) {
+      return '<0.1%';
+    } else if (chance < 1 && chance > 0.9995) {
+      return '>99.9%';
+    }
+    return `${(chance * 100).toFixed(1)}%`;
   }
 
   /**
-   * Get the main chat element.
+   * Work out the outcome of a result against a difficulty or an opposing result.
    * 
    * @public
-   * @returns {HTMLElement} The main chat element
+   * @param {number} result The result
+   * @param {number} target The difficulty or opposing result
+   * @returns {{ outcome: FateOutcome, shifts: number }} The outcome, and the shifts the result beat the target by
    */
-  static getChatElement() { 
-    if (ChatUtil.inTranscript) {
-      return document.getElementById('transcript');
-    } else if (ChatUtil.inConversation) {
-      return document.getElementById('conversation');
+  static resolve(result, target) {
+    const shifts = result - target;
+    if (shifts < 0) {
+      return { outcome: FateOutcome.Fail, shifts };
+    } else if (shifts === 0) {
+      return { outcome: FateOutcome.Tie, shifts };
+    } else if (shifts < 3) {
+      return { outcome: FateOutcome.Succeed, shifts };
     }
-    return document.getElementById('chat');
+    return { outcome: FateOutcome.SucceedWithStyle, shifts };
   }
 }
 
 /**
- * Console logger for for the script.
- * 
- * @abstract
+ * @enum {string} What to show for results past either end of the ladder
+ * @readonly
  */
-class Log {
-  /** @readonly */
-  static prefix = '[🎲 RPG.SE Fudge Dice]';
+const LadderOverflow = Object.freeze({
+  /** Count up from the end of the ladder, e.g. "Legendary+2" */
+  Extend: 'extend',
+  /** Stick to the name at the end of the ladder, e.g. "Legendary" */
+  Clamp: 'clamp',
+  /** Don't name the result, just show the number */
+  Number: 'number',
+});
 
-  /**
-   * Log an informational message.
-   * 
-   * @param  {...any} message The message and any information to log.
-   */
-  static log(...message) {
-    console.log(Log.prefix, ...message);
-  }
+/**
+ * @enum {string} The outcome of a Fate roll against a difficulty or an opposing roll
+ * @readonly
+ */
+const FateOutcome = Object.freeze({
+  /** The result fell short */
+  Fail: 'Fail',
+  /** The result matched exactly */
+  Tie: 'Tie',
+  /** The result beat it by one or two shifts */
+  Succeed: 'Succeed',
+  /** The result beat it by three shifts or more */
+  SucceedWithStyle: 'Succeed with Style',
+});
 
-  /**
-   * Log an error message.
-   * 
-   * @param  {...any} message The message and any information to log.
-   */
-  static error(...message) {
-    console.error(Log.prefix, ...message);
-  }
-}
+/**
+ * @enum {string} Which dice to convert in a room
+ * @readonly
+ */
+const ActivationMode = Object.freeze({
+  /** Convert every die */
+  All: 'all',
+  /** Only convert dice in messages marked as fudge rolls, or from chosen users */
+  Marked: 'marked',
+});
 
 /**
- * @typedef {Object} SerializedConfig
- * @property {boolean} useColors
- * @property {string} plusColor
- * @property {string} minusColor
- * @property {string[]} rooms
+ * @enum {string} Which dice within a message to convert
+ * @readonly
  */
+const DiceSelection = Object.freeze({
+  /** Every die in the message */
+  All: 'all',
+  /** The first few dice in the message */
+  First: 'first',
+  /** The dice the message text names as fudge dice, e.g. the first four in "4dF + 1d6" */
+  Text: 'text',
+});
 
 /**
- * Configuration store for the user's settings.
+ * @typedef {Object} RoomActivation
+ * @property {ActivationMode} mode Which dice to convert
+ * @property {string[]} users The IDs or names of users whose dice are always converted in marked mode
+ * @property {DiceSelection} selection Which dice within a message to convert
+ * @property {number} firstCount How many dice to convert when converting the first few
  */
-class UserConfig {
-  constructor() {
-    this.store = 'fudgeConfig';
-    this.useColors = false;
-    this.plusColor = '#008800';
-    this.minusColor = '#CC0000';
-    this.rooms = ['8403', '11']; // Fate chat room, TRPG General chat
-  }
 
-  /**
-   * Whether the script should be active in this room according to settings.
-   * 
-   * @public
-   * @readonly
-   */
-  get isActiveHere() {
-    return this.rooms.includes(ChatUtil.roomId);
-  }
+/**
+ * @typedef {Object} RoomInfo
+ * @property {string} name The room's name, as of the last visit
+ * @property {number} lastSeen When the room was last visited, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} SerializedLadder
+ * @property {Object<string, string>} names The name of each rung, keyed by its value
+ * @property {number} min The lowest rung on the ladder
+ * @property {number} max The highest rung on the ladder
+ * @property {LadderOverflow} overflow What to show past either end of the ladder
+ */
 
+/**
+ * The Fate ladder of adjectives, e.g. "Good (+3)".
+ */
+class FateLadder {
   /**
-   * Prime localStorage for use.
+   * The default ladder: the Fate Core ladder, extended down to Abysmal.
    * 
    * @public
+   * @returns {SerializedLadder} A fresh copy of the default ladder
    */
-  init() {
-    if (!localStorage.getItem(this.store)) {
-      // Store defaults
-      this.save();
-    }
-
-    this.load();
+  static get defaults() {
+    return {
+      names: {
+        '8': 'Legendary',
+        '7': 'Epic',
+        '6': 'Fantastic',
+        '5': 'Superb',
+        '4': 'Great',
+        '3': 'Good',
+        '2': 'Fair',
+        '1': 'Average',
+        '0': 'Mediocre',
+        '-1': 'Poor',
+        '-2': 'Terrible',
+        '-3': 'Abysmal',
+      },
+      min: -3,
+      max: 8,
+      overflow: LadderOverflow.Extend,
+    };
   }
 
   /**
-   * Save the current config.
+   * Create a ladder from its saved settings.
    * 
-   * @public
+   * @param {SerializedLadder} ladder The saved ladder settings
    */
-  save() {
-    /** @type {SerializedConfig} */
-    const config = {
-      'useColors': this.useColors,
-      'plusColor': this.plusColor,
-      'minusColor': this.minusColor,
-      'rooms': this.rooms
-    };
-    localStorage.setItem(this.store, JSON.stringify(config));
+  constructor(ladder) {
+    this.names = ladder.names;
+    this.min = ladder.min;
+    this.max = ladder.max;
+    this.overflow = ladder.overflow;
   }
 
   /**
-   * Load the user's config.
+   * Get the ladder name for a result.
    * 
    * @public
+   * @param {number} value The result
+   * @returns {string | null} The ladder name, or null if the result has no name
    */
-  load() {
-    /** @type {SerializedConfig} */
-    const config = JSON.parse(localStorage.getItem(this.store));
-    this.useColors = config.useColors ?? this.useColors;
-    this.plusColor = config.plusColor ?? this.plusColor;
-    this.minusColor = config.minusColor ?? this.minusColor;
-    this.rooms = config.rooms ?? this.rooms;
+  nameFor(value) {
+    if (value > this.max || value < this.min) {
+      const end = value > this.max ? this.max : this.min;
+      const endName = this.names[end.toString()];
+      if (!endName) {
+        return null;
+      }
+
+      switch (this.overflow) {
+        case LadderOverflow.Clamp:
+          return endName;
+        case LadderOverflow.Extend:
+          return `${endName}${FudgeUtil.displayTotal(value - end)}`;
+        default:
+          return null;
+      }
+    }
+
+    return this.names[value.toString()] || null;
   }
-  
+
   /**
-   * Activate the current room.
-   * 
-   * Note this doesn't actually affect the page, just the settings.
+   * Describe a result the way a GM reads it out, e.g. "Good (+3)".
    * 
    * @public
+   * @param {number} value The result
+   * @returns {string} The description of the result
    */
-  activateRoom() {
-    if (this.isActiveHere) {
-      return;
-    }
-    this.rooms.push(ChatUtil.roomId);
+  describe(value) {
+    const name = this.nameFor(value);
+    const total = FudgeUtil.displayTotal(value);
+    return name ? `${name} (${total})` : total;
   }
 
   /**
-   * Deactivate the current room.
-   * 
-   * Note this doesn't actually affect the page, just the settings.
+   * Get the result that a ladder name stands for.
    * 
    * @public
+   * @param {string} name The ladder name, e.g. "Good"
+   * @returns {number | null} The result, e.g. 3, or null if no rung has that name
    */
-  deactivateRoom() {
-    this.rooms = this.rooms.filter(id => id !== ChatUtil.roomId);
+  valueFor(name) {
+    const wanted = name.trim().toLowerCase();
+    const rung = Object.entries(this.names).find(([, rungName]) => rungName.toLowerCase() === wanted);
+    return rung ? Number(rung[0]) : null;
   }
 }
 
 /**
- * A service that manages chat messages.
+ * @typedef {Object} Modifier
+ * @property {string} label What the modifier is for, e.g. "Fight"
+ * @property {number} value The value of the modifier, e.g. 3
  */
-class ChatService {
-  constructor() {
-    this.debouncedScan = debounce(() => this.scan(), 50);
-  }
 
+/**
+ * Parser for the skill modifiers people type alongside their rolls, e.g. "4dF +3 Fight".
+ * @abstract
+ */
+class ModifierParser {
   /**
-   * Initialise chat message handling.
+   * Matches a signed number. Unsigned numbers are too ambiguous to count as modifiers,
+   * and numbers of dice like "+ 1d6" aren't modifiers at all.
    * 
-   * @public
+   * The sign can't follow a digit, so ranges like "2-3 times" and dates like "2023-01-05" aren't read as modifiers,
+   * unless the digit ends some dice, as in "2d6+1". Signs straight after words, like "4dF+3" or "Fight+3", still count.
+   * @readonly
    */
-  init() {
-    if (!ChatUtil.getChatElement()) {
-      Log.error('Tried to initialise ChatService, but no chat element found!');
-      throw Error('Failed to initialise ChatService');
-    }
+  static numberPattern = /(?:(?<!\d)|(?<=\b\d*d(?:f|\d+)))([+\-\u2212\u2013])\s*(\d{1,2})(?!\d|d(?:f|\d))/gi;
 
-    // Mark the root chat element
-    const chat = ChatUtil.getChatElement();
-    chat.classList.add(HtmlClass.FudgeRoot);
+  /**
+   * Matches the places a message moves on to a new modifier, e.g. commas.
+   * @readonly
+   */
+  static separatorPattern = /[,;()]|\s(?:and|&)\s/i;
 
-    // Run a one-off scan.
-    this.debouncedScan();
+  /**
+   * Matches the parts of a message that describe the roll itself, rather than a modifier.
+   * Dice are matched with any sign in front of them, e.g. "+ 1d6", since they're skipped rather than read as modifiers.
+   * @readonly
+   */
+  static noisePattern = /(?:[+\-\u2212\u2013]\s*)?\b\d*d(?:f|\d+)\b|\b(?:fate|fudge|roll(?:s|ed|ing)?)\b|[:=]/gi;
 
-    // If we're in a live room, keep scanning whenever new messages arrive.
-    if (ChatUtil.isLive) {
-      this.startLiveScan();
-    }
-  }
+  /**
+   * Matches the target a roll is made against, e.g. "vs +2", "vs. 3" or "vs Great".
+   * @readonly
+   */
+  static targetPattern = /\bvs\.?\s*(?:([+\-\u2212\u2013]?)\s*(\d{1,2})(?!\d)|([a-z]+))/i;
 
   /**
-   * Commence live scanning the chat for new messages.
+   * Pull the modifiers out of a chat message's text.
    * 
-   * @private
+   * @public
+   * @param {string} text The text of the message, without its dice
+   * @returns {Modifier[]} The modifiers found, in the order they were typed
    */
-  startLiveScan() {
-    const observer = new MutationObserver((mutations, obs) => {
-      try {
-        this.debouncedScan();
-      } catch (e) {
-        Log.error('Live scan threw an error. It has been aborted and will no longer run.', e);
-        obs.disconnect();
-      }
-    });
-    
-    observer.observe(ChatUtil.getChatElement(), {
-      childList: true,
-      subtree: true
-    });
+  static parse(text) {
+    // The target isn't a modifier, even though it looks like one.
+    return text
+      .replace(ModifierParser.targetPattern, ' ')
+      .split(ModifierParser.separatorPattern)
+      .flatMap(segment => ModifierParser.parseSegment(segment));
   }
 
   /**
-   * Annotate any unconverted D6 values as fudge dice.
+   * Pull the target a roll is made against out of a chat message's text, e.g. "vs +2" or "vs Great".
    * 
    * @public
+   * @param {string} text The text of the message, without its dice
+   * @param {FateLadder} [ladder] The ladder to look up targets given by name
+   * @returns {number | null} The target, or null if the message doesn't give one
    */
-  scan() {
-    const dice = Array.from(document.querySelectorAll(`.six-sided-die:not(.${HtmlClass.FudgeDie})`));
+  static parseTarget(text, ladder) {
+    const match = text.match(ModifierParser.targetPattern);
+    if (!match) {
+      return null;
+    } else if (match[3]) {
+      return ladder?.valueFor(match[3]) ?? null;
+    }
+    const sign = ['-', '\u2212', '\u2013'].includes(match[1]) ? -1 : 1;
+    return sign * Number(match[2]);
+  }
 
-    dice.forEach(die => {
-      if (die.classList.contains(HtmlClass.FudgeDie)) {
-        // The die has somehow already been processed.
-        return;
-      }
+  /**
+   * Pull the modifiers out of one segment of a message.
+   * 
+   * Each number is labelled with the text after it, e.g. "+3 Fight",
+   * or failing that the text before it, e.g. "Fight +3".
+   * 
+   * @private
+   * @param {string} segment A part of the message between separators
+   * @returns {Modifier[]} The modifiers in this segment
+   */
+  static parseSegment(segment) {
+    const matches = Array.from(segment.matchAll(ModifierParser.numberPattern));
 
-      die.classList.add(HtmlClass.FudgeDie);
+    return matches.map((match, i) => {
+      const sign = match[1] === '+' ? 1 : -1;
+      const value = sign * Number(match[2]);
 
-      const d6score = Array.from(die.querySelectorAll('.dot')).map(dot => dot.textContent).filter(text => text.includes('•')).length;
-      const fudgeScore = FudgeUtil.d6toFudge(d6score);
-      const fudgeDisplay = FudgeUtil.displayScore(fudgeScore);
-      
-      die.setAttribute(HtmlClass.DataD6Score, d6score.toString());
-      die.setAttribute(HtmlAttribute.DataFudgeScore, fudgeScore.toString());
+      const previousEnd = i > 0 ? matches[i - 1].index + matches[i - 1][0].length : 0;
+      const nextStart = i < matches.length - 1 ? matches[i + 1].index : segment.length;
 
-      const symbol = document.createElement('span');
-      symbol.classList.add(HtmlClass.FudgeDieFaceSymbol);
-      symbol.innerHTML = fudgeDisplay;
+      const after = ModifierParser.cleanLabel(segment.slice(match.index + match[0].length, nextStart));
+      const before = ModifierParser.cleanLabel(segment.slice(previousEnd, match.index));
 
-      const face = document.createElement('div');
-      face.classList.add(HtmlClass.FudgeDieFace);
-      face.title = `Rolled ${d6score}`;
-      face.append(symbol);
-      
-      die.appendChild(face);
+      return { label: after || before || 'modifier', value };
     });
   }
-}
 
-/**
- * A service that handles the CSS embedded on the page.
- */
-class CssService {
   /**
-   * Construct a new CSS manager
-   * @param {UserConfig} userConfig The user configuration
+   * Tidy up a label, dropping any roll notation and normalising invocations.
+   * 
+   * @private
+   * @param {string} text The raw label text
+   * @returns {string} The label, or an empty string if there's nothing left
    */
-  constructor(userConfig) {
-    this.userConfig = userConfig;
+  static cleanLabel(text) {
+    const label = text.replace(ModifierParser.noisePattern, ' ').replace(/\s+/g, ' ').trim();
+
+    if (/\binvok/i.test(label)) {
+      return 'invoke';
+    }
+    return label;
   }
 
   /**
-   * Create the on-page CSS.
+   * Describe how a result was reached, e.g. "dice +1, Fight +3 = +4".
+   * 
+   * @public
+   * @param {number} diceTotal The total of the dice alone
+   * @param {Modifier[]} modifiers The modifiers added to the dice
+   * @param {(total: number) => string} [format] How to show the dice total and result
+   * @returns {string} The breakdown of the result
+   */
+  static describeBreakdown(diceTotal, modifiers, format = FudgeUtil.displayTotal) {
+    const parts = [`dice ${format(diceTotal)}`]
+      .concat(modifiers.map(modifier => `${modifier.label} ${FudgeUtil.displayTotal(modifier.value)}`));
+    const result = diceTotal + FudgeUtil.sumScores(modifiers.map(modifier => modifier.value));
+    return `${parts.join(', ')} = ${format(result)}`;
+  }
+}
+
+/**
+ * @typedef {Object} RollContext
+ * @property {string} text The text of the message the dice are in, without the dice
+ * @property {UserConfig} userConfig The user configuration
+ * @property {OpposingRoll} [opposing] The roll this one is opposed to, if the message replies to one
+ */
+
+/**
+ * @typedef {Object} OpposingRoll
+ * @property {number} value The final value of the opposing roll
+ * @property {string} userName Who rolled it
+ */
+
+/**
+ * @typedef {Object} GroupResult
+ * @property {string} label The result to show after the dice, e.g. "= Good (+3)"
+ * @property {FudgeScore} tone Whether the result is good, bad, or neither, for coloring
+ * @property {number} total The value of the dice alone
+ * @property {number} [result] The value after any modifiers, if there were any
+ * @property {Modifier[]} [modifiers] The modifiers that were added, if there were any
+ * @property {number} [target] The value the roll was made against, if there was one
+ * @property {string} [opponent] Who rolled the opposing roll, if the target came from one
+ * @property {{ label: string, tone: FudgeScore }} [outcome] How the roll went against its target, e.g. "Succeed (+2 shifts)"
+ * @property {string} [title] A short explanation of the result, e.g. how the modifiers add up
+ */
+
+/**
+ * A way of interpreting the d6 rolled in chat, e.g. as Fudge dice.
+ * 
+ * @abstract
+ */
+class DiceMode {
+  /**
+   * Create a new dice mode.
+   * 
+   * @param {string} id The ID the mode is saved under
+   * @param {string} name The name shown in the config menu
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /**
+   * Get the score of a single die in this mode, given its d6 score. Every mode overrides this.
+   * 
+   * @public
+   * @abstract
+   * @returns {number} The die's score in this mode
+   */
+  score() {
+    throw Error('Not implemented');
+  }
+
+  /**
+   * Get whether a single die is good, bad, or neither, for coloring, given its d6 score.
+   * Dice are neither unless the mode says otherwise.
+   * 
+   * @public
+   * @returns {FudgeScore} The tone of the die
+   */
+  tone() {
+    return FudgeScore.Zero;
+  }
+
+  /**
+   * Get the face to draw on a single die.
+   * 
+   * Modes whose faces depend on the settings are also given the user configuration.
+   * 
+   * @public
+   * @param {number} d6 The d6 score
+   * @returns {string} The face, as HTML
+   */
+  display(d6) {
+    return d6.toString();
+  }
+
+  /**
+   * Get the name of a single die's face, for screen readers.
+   * 
+   * @public
+   * @param {number} d6 The d6 score
+   * @returns {string} The name of the face, e.g. "plus"
+   */
+  label(d6) {
+    return d6.toString();
+  }
+
+  /**
+   * Describe a group of dice and their result, for screen readers.
+   * 
+   * Modes that describe totals using the settings, e.g. ladder names, are also given the user configuration.
+   * 
+   * @public
+   * @param {number[]} d6s The d6 scores in the group
+   * @param {GroupResult} result The result of the group
+   * @returns {string} The description, e.g. "Blades in the Dark: 2, 6, full success"
+   */
+  describeGroup(d6s, result) {
+    return `${this.name}: ${d6s.map(d6 => this.label(d6)).join(', ')}, ${result.label.replace(/^=\s*/, '')}`;
+  }
+
+  /**
+   * Write a single die's face as plain text, for copying the roll.
+   * 
+   * @public
+   * @param {number} score The die's score in this mode
+   * @returns {string} The face, e.g. "[5]"
+   */
+  faceText(score) {
+    return `[${score}]`;
+  }
+
+  /**
+   * Sum up the result of a group of dice as plain text, for copying the roll.
+   * 
+   * Modes that describe totals using the settings are also given the user configuration.
+   * 
+   * @public
+   * @param {GroupResult} result The result of the group
+   * @returns {string} The result, e.g. "5: Partial success"
+   */
+  summarize(result) {
+    return result.label.replace(/^=\s*/, '');
+  }
+
+  /**
+   * Explain a single die, for the roll popover.
+   * 
+   * @public
+   * @param {number} d6 The d6 score
+   * @returns {string} The explanation, e.g. "Rolled 5 on the d6, which counts as plus (+1)"
+   */
+  explainDie(d6) {
+    const label = this.label(d6);
+    if (label === d6.toString()) {
+      return `Rolled ${d6} on the d6`;
+    }
+    return `Rolled ${d6} on the d6, which counts as ${label}`;
+  }
+
+  /**
+   * Explain a group of dice and their result in more depth, for the roll popover.
+   * 
+   * Modes that describe totals using the settings are also given the user configuration.
+   * 
+   * @public
+   * @param {number[]} d6s The d6 scores in the group
+   * @param {GroupResult} result The result of the group
+   * @returns {string[]} Lines of explanation
+   */
+  explain(d6s, result) {
+    return [`${this.name}: ${result.label.replace(/^=\s*/, '')}`].concat(result.title ? [result.title] : []);
+  }
+
+  /**
+   * Work out the result of a group of dice rolled in one message, given their d6 scores and the {@link RollContext}
+   * of the message. Every mode overrides this.
+   * 
+   * @public
+   * @abstract
+   * @returns {GroupResult} The result of the group
+   */
+  result() {
+    throw Error('Not implemented');
+  }
+
+  /**
+   * Get any extra CSS this mode needs, given a selector for the chat while the dice are converted to prefix each rule with.
+   * There's none unless the mode adds some.
+   * 
+   * @public
+   * @returns {string} CSS rules
+   */
+  getCss() {
+    return '';
+  }
+}
+
+/**
+ * Fudge dice (dF), as used by Fate: each d6 becomes a plus, minus, or blank.
+ */
+class FudgeMode extends DiceMode {
+  constructor() {
+    super('fudge', 'Fudge dice (dF)');
+  }
+
+  score(d6) {
+    return FudgeUtil.d6toFudge(d6);
+  }
+
+  tone(d6) {
+    return this.score(d6);
+  }
+
+  display(d6, userConfig) {
+    return FaceStyles.get(userConfig.faceStyle).display(this.score(d6));
+  }
+
+  label(d6) {
+    switch (this.score(d6)) {
+      case FudgeScore.Minus:
+        return 'minus';
+      case FudgeScore.Plus:
+        return 'plus';
+      default:
+        return 'blank';
+    }
+  }
+
+  describeGroup(d6s, result, userConfig) {
+    const faces = d6s.map(d6 => this.label(d6)).join(', ');
+    const total = `total ${this.describe(result.total, userConfig)}`;
+    if (result.result === undefined) {
+      return result.outcome ? `Fudge roll: ${faces}, ${total}, ${result.outcome.label}` : `Fudge roll: ${faces}, ${total}`;
+    }
+    const withModifiers = `Fudge roll: ${faces}, ${total}, result with modifiers ${this.describe(result.result, userConfig)}`;
+    return result.outcome ? `${withModifiers}, ${result.outcome.label}` : withModifiers;
+  }
+
+  explainDie(d6) {
+    return `${super.explainDie(d6)} (${FudgeUtil.displayTotal(this.score(d6))})`;
+  }
+
+  faceText(score) {
+    return FudgeUtil.describeFaces([score]);
+  }
+
+  summarize(result, userConfig) {
+    let summary = this.describeBriefly(result.total, userConfig);
+    if (result.result !== undefined) {
+      const modifiers = (result.modifiers ?? []).map(modifier => `${modifier.label} ${FudgeUtil.displayTotal(modifier.value)}`);
+      summary += ` (${modifiers.join(', ')} \u2192 ${this.describeBriefly(result.result, userConfig)})`;
+    }
+    return result.outcome ? `${summary}, ${result.outcome.label}` : summary;
+  }
+
+  explain(d6s, result, userConfig) {
+    const count = d6s.length;
+    const lines = [
+      `Total ${this.describe(result.total, userConfig)} on ${count}dF`,
+      `${FudgeUtil.displayChance(FudgeUtil.chanceAtLeast(count, result.total))} to roll ${FudgeUtil.displayTotal(result.total)} or better, `
+        + `${FudgeUtil.displayChance(FudgeUtil.chanceAtMost(count, result.total))} to roll it or worse`,
+    ];
+
+    if (result.title) {
+      lines.push(result.title);
+    }
+
+    if (result.target !== undefined) {
+      // The dice need to make up whatever the modifiers don't.
+      const needed = result.target - ((result.result ?? result.total) - result.total);
+      const success = FudgeUtil.chanceAtLeast(count, needed + 1);
+      const tie = FudgeUtil.chanceAtLeast(count, needed) - success;
+      const against = result.opponent ? `${result.opponent}'s ${this.describe(result.target, userConfig)}` : this.describe(result.target, userConfig);
+      lines.push(`Against ${against}: ${FudgeUtil.displayChance(success)} to succeed, ${FudgeUtil.displayChance(tie)} to tie`);
+    }
+
+    return lines;
+  }
+
+  result(d6s, context) {
+    const total = FudgeUtil.sumScores(d6s.map(d6 => this.score(d6)));
+    const modifiers = ModifierParser.parse(context.text);
+    const target = ModifierParser.parseTarget(context.text, new FateLadder(context.userConfig.ladder));
+
+    /** @type {GroupResult} */
+    let groupResult;
+    if (modifiers.length === 0) {
+      groupResult = {
+        label: `= ${this.describe(total, context.userConfig)}`,
+        tone: Math.sign(total),
+        total,
+      };
+    } else {
+      const result = total + FudgeUtil.sumScores(modifiers.map(modifier => modifier.value));
+      groupResult = {
+        label: `= ${this.describe(total, context.userConfig)} → ${this.describe(result, context.userConfig)}`,
+        tone: Math.sign(result),
+        total,
+        result,
+        modifiers,
+        title: ModifierParser.describeBreakdown(total, modifiers),
+      };
+    }
+
+    // A target in the message itself beats one from the roll it replies to.
+    if (target !== null) {
+      groupResult.target = target;
+    } else if (context.opposing) {
+      groupResult.target = context.opposing.value;
+      groupResult.opponent = context.opposing.userName;
+    }
+
+    if (groupResult.target !== undefined) {
+      groupResult.outcome = this.resolve(groupResult.result ?? total, groupResult, context.userConfig);
+    }
+    return groupResult;
+  }
+
+  /**
+   * Describe the outcome of a result against its target, e.g. "vs Good (+3): Succeed (+1 shift)".
+   * 
+   * @private
+   * @param {number} value The final result
+   * @param {GroupResult} groupResult The result so far, with its target
+   * @param {UserConfig} userConfig The user configuration
+   * @returns {{ label: string, tone: FudgeScore }} The outcome
+   */
+  resolve(value, groupResult, userConfig) {
+    const { outcome, shifts } = FudgeUtil.resolve(value, groupResult.target);
+    const target = this.describe(groupResult.target, userConfig);
+    const against = groupResult.opponent ? `${groupResult.opponent}'s ${target}` : target;
+    const unit = Math.abs(shifts) === 1 ? 'shift' : 'shifts';
+
+    return {
+      label: `vs ${against}: ${outcome} (${FudgeUtil.displayTotal(shifts)} ${unit})`,
+      tone: Math.sign(shifts),
+    };
+  }
+
+  /**
+   * Describe a total according to the user's ladder settings.
+   * 
+   * @private
+   * @param {number} total The total to describe
+   * @param {UserConfig} userConfig The user configuration
+   * @returns {string} The total, e.g. "+3" or "Good (+3)"
+   */
+  describe(total, userConfig) {
+    if (!userConfig.useLadder) {
+      return FudgeUtil.displayTotal(total);
+    }
+    return new FateLadder(userConfig.ladder).describe(total);
+  }
+
+  /**
+   * Describe a total number first, the way it's written in a post, e.g. "+3 Good".
+   * 
+   * @private
+   * @param {number} total The total to describe
+   * @param {UserConfig} userConfig The user configuration
+   * @returns {string} The total, e.g. "+3" or "+3 Good"
+   */
+  describeBriefly(total, userConfig) {
+    const name = userConfig.useLadder ? new FateLadder(userConfig.ladder).nameFor(total) : null;
+    return name ? `${FudgeUtil.displayTotal(total)} ${name}` : FudgeUtil.displayTotal(total);
+  }
+}
+
+/**
+ * Blades in the Dark action rolls: the highest die counts, a 6 succeeds, and two 6s are a critical.
+ */
+class BladesMode extends DiceMode {
+  constructor() {
+    super('blades', 'Blades in the Dark (highest die)');
+  }
+
+  score(d6) {
+    return d6;
+  }
+
+  tone(d6) {
+    if (d6 === 6) {
+      return FudgeScore.Plus;
+    } else if (d6 <= 3) {
+      return FudgeScore.Minus;
+    }
+    return FudgeScore.Zero;
+  }
+
+  result(d6s) {
+    const highest = Math.max(...d6s);
+    const sixes = d6s.filter(d6 => d6 === 6).length;
+
+    let outcome = 'Bad outcome';
+    if (sixes >= 2) {
+      outcome = 'Critical!';
+    } else if (highest === 6) {
+      outcome = 'Full success';
+    } else if (highest >= 4) {
+      outcome = 'Partial success';
+    }
+
+    return {
+      label: `= ${highest}: ${outcome}`,
+      tone: sixes >= 2 ? FudgeScore.Plus : this.tone(highest),
+      total: highest,
+      title: `Highest of ${d6s.length}d6`,
+    };
+  }
+}
+
+/**
+ * Shadowrun-style dice pools: each 5 or 6 is a hit, and too many 1s are a glitch.
+ */
+class PoolMode extends DiceMode {
+  constructor() {
+    super('pool', 'Dice pool (5–6 hits)');
+  }
+
+  score(d6) {
+    if (d6 >= 5) {
+      return 1;
+    } else if (d6 === 1) {
+      return -1;
+    }
+    return 0;
+  }
+
+  tone(d6) {
+    return this.score(d6);
+  }
+
+  display(d6) {
+    switch (this.score(d6)) {
+      case 1:
+        return '&check;';
+      case -1:
+        return '&times;';
+      default:
+        return '';
+    }
+  }
+
+  faceText(score) {
+    switch (score) {
+      case 1:
+        return '[\u2713]';
+      case -1:
+        return '[\u00d7]';
+      default:
+        return '[ ]';
+    }
+  }
+
+  label(d6) {
+    switch (this.score(d6)) {
+      case 1:
+        return 'hit';
+      case -1:
+        return 'one';
+      default:
+        return 'miss';
+    }
+  }
+
+  result(d6s) {
+    const hits = d6s.filter(d6 => this.score(d6) === 1).length;
+    const ones = d6s.filter(d6 => d6 === 1).length;
+    const glitch = ones > d6s.length / 2;
+
+    let label = `= ${hits} ${hits === 1 ? 'hit' : 'hits'}`;
+    if (glitch && hits === 0) {
+      label = '= Critical glitch!';
+    } else if (glitch) {
+      label += ', glitch!';
+    }
+
+    let tone = hits > 0 ? FudgeScore.Plus : FudgeScore.Zero;
+    if (glitch) {
+      tone = FudgeScore.Minus;
+    }
+
+    return {
+      label,
+      tone,
+      total: hits,
+      title: `${hits} of ${d6s.length} dice hit, ${ones} rolled a 1`,
+    };
+  }
+
+  getCss(scope) {
+    return `
+      ${scope} .${HtmlClass.FudgeDie}[${HtmlAttribute.DataFudgeScore}='0'] {
+        opacity: 0.5;
+      }
+    `;
+  }
+}
+
+/**
+ * Powered by the Apocalypse moves: add up 2d6 and any modifiers, then read off the band.
+ */
+class PbtaMode extends DiceMode {
+  constructor() {
+    super('pbta', 'Powered by the Apocalypse (2d6 + stat)');
+  }
+
+  score(d6) {
+    return d6;
+  }
+
+  result(d6s, context) {
+    const total = FudgeUtil.sumScores(d6s);
+    const modifiers = ModifierParser.parse(context.text);
+    const result = total + FudgeUtil.sumScores(modifiers.map(modifier => modifier.value));
+
+    let outcome = 'Miss';
+    let tone = FudgeScore.Minus;
+    if (result >= 10) {
+      outcome = 'Strong hit';
+      tone = FudgeScore.Plus;
+    } else if (result >= 7) {
+      outcome = 'Weak hit';
+      tone = FudgeScore.Zero;
+    }
+
+    /** @type {GroupResult} */
+    const groupResult = {
+      label: `= ${result}: ${outcome}`,
+      tone,
+      total,
+    };
+
+    if (modifiers.length > 0) {
+      groupResult.result = result;
+      groupResult.modifiers = modifiers;
+      groupResult.title = ModifierParser.describeBreakdown(total, modifiers, String);
+    }
+
+    return groupResult;
+  }
+}
+
+/**
+ * The registry of dice modes that can be chosen for a room.
+ * @abstract
+ */
+class DiceModes {
+  /**
+   * The mode used when a room hasn't chosen one.
+   * @readonly
+   */
+  static defaultId = 'fudge';
+
+  /**
+   * @private
+   * @type {Map<string, DiceMode>}
+   */
+  static registry = new Map();
+
+  /**
+   * Add a dice mode to the registry.
+   * 
+   * @public
+   * @param {DiceMode} mode The mode to add
+   */
+  static register(mode) {
+    DiceModes.registry.set(mode.id, mode);
+  }
+
+  /**
+   * Get a dice mode by its ID, falling back to the default mode if it doesn't exist.
+   * 
+   * @public
+   * @param {string} id The ID of the mode
+   * @returns {DiceMode} The dice mode
+   */
+  static get(id) {
+    return DiceModes.registry.get(id) ?? DiceModes.registry.get(DiceModes.defaultId);
+  }
+
+  /**
+   * Get every registered dice mode.
+   * 
+   * @public
+   * @returns {DiceMode[]} The dice modes, in the order they were registered
+   */
+  static get all() {
+    return Array.from(DiceModes.registry.values());
+  }
+}
+
+DiceModes.register(new FudgeMode());
+DiceModes.register(new BladesMode());
+DiceModes.register(new PoolMode());
+DiceModes.register(new PbtaMode());
+
+/**
+ * @typedef {Object} RollRecord
+ * @property {string} messageId The ID of the chat message the roll was in
+ * @property {string} roomId The ID of the room the roll was in
+ * @property {string} userId The ID of the user who rolled
+ * @property {string} userName The name of the user who rolled
+ * @property {number | null} time When the roll was made, in milliseconds since the epoch, or null if it isn't known
+ * @property {boolean} [timeKnown] Whether the time was read from the page, rather than filled in with when the roll was first seen
+ * @property {number[]} d6s The raw d6 scores
+ * @property {FudgeScore[]} faces The fudge faces
+ * @property {number} total The total of the dice alone
+ * @property {number} [result] The total after any modifiers, if there were any
+ * @property {string} text The text of the message, without the dice
+ */
+
+/**
+ * @typedef {Object} RollSummary
+ * @property {number} count The number of rolls
+ * @property {number} mean The mean total, or NaN if there are no rolls
+ * @property {number} standardCount The number of rolls with the standard number of dice
+ * @property {number[]} standardTotals How many standard rolls came up with each total, indexed by `total + dice`
+ * @property {number} longestHot The longest run of rolls above zero
+ * @property {number} longestCold The longest run of rolls below zero
+ * @property {number} currentStreak The current run: positive if above zero, negative if below
+ */
+
+/**
+ * Statistics for a set of fudge rolls.
+ * @abstract
+ */
+class RollStats {
+  /**
+   * The number of dice in a standard roll, i.e. 4dF.
+   * @readonly
+   */
+  static standardDice = 4;
+
+  /**
+   * Summarise a set of rolls.
+   * 
+   * @public
+   * @param {RollRecord[]} records The rolls to summarise
+   * @returns {RollSummary} The summary
+   */
+  static summarize(records) {
+    const sorted = [...records].sort((a, b) => a.time - b.time);
+    const standard = sorted.filter(record => record.faces.length === RollStats.standardDice);
+
+    const standardTotals = new Array(RollStats.standardDice * 2 + 1).fill(0);
+    standard.forEach(record => standardTotals[record.total + RollStats.standardDice]++);
+
+    let longestHot = 0;
+    let longestCold = 0;
+    let currentStreak = 0;
+    sorted.forEach(record => {
+      const sign = Math.sign(record.total);
+      if (sign === 0) {
+        currentStreak = 0;
+      } else if (Math.sign(currentStreak) === sign) {
+        currentStreak += sign;
+      } else {
+        currentStreak = sign;
+      }
+      longestHot = Math.max(longestHot, currentStreak);
+      longestCold = Math.max(longestCold, -currentStreak);
+    });
+
+    return {
+      count: sorted.length,
+      mean: FudgeUtil.sumScores(sorted.map(record => record.total)) / sorted.length,
+      standardCount: standard.length,
+      standardTotals,
+      longestHot,
+      longestCold,
+      currentStreak,
+    };
+  }
+}
+
+/**
+ * @typedef {Object} GoodnessOfFit
+ * @property {number[]} observed How many times each face came up
+ * @property {number[]} expected How many times each face should come up with fair dice
+ * @property {number} statistic The chi-squared statistic
+ * @property {number} degreesOfFreedom The degrees of freedom of the test
+ * @property {number} pValue The chance of a result at least this uneven from fair dice
+ */
+
+/**
+ * @typedef {Object} FairnessReport
+ * @property {number} sampleSize The number of dice checked
+ * @property {GoodnessOfFit} d6 The test on the raw d6 faces
+ * @property {GoodnessOfFit} fudge The test on the fudge faces
+ * @property {string} verdict A plain-language verdict on the dice
+ */
+
+/**
+ * A chi-squared goodness-of-fit test of whether the dice are fair.
+ * @abstract
+ */
+class FairnessTest {
+  /**
+   * The fewest times each face should be expected to come up before the test means anything.
+   * @readonly
+   */
+  static minimumExpected = 5;
+
+  /**
+   * Check whether the dice in a set of rolls look fair.
+   * 
+   * @public
+   * @param {RollRecord[]} records The rolls to check
+   * @returns {FairnessReport} The report
+   */
+  static check(records) {
+    const d6s = records.flatMap(record => record.d6s);
+
+    const d6Counts = [1, 2, 3, 4, 5, 6].map(face => d6s.filter(d6 => d6 === face).length);
+    const fudgeCounts = [FudgeScore.Minus, FudgeScore.Zero, FudgeScore.Plus]
+      .map(score => d6s.filter(d6 => FudgeUtil.d6toFudge(d6) === score).length);
+
+    const d6 = FairnessTest.goodnessOfFit(d6Counts);
+    const fudge = FairnessTest.goodnessOfFit(fudgeCounts);
+
+    return {
+      sampleSize: d6s.length,
+      d6,
+      fudge,
+      verdict: FairnessTest.verdict(d6, fudge),
+    };
+  }
+
+  /**
+   * Test a set of face counts against equally likely faces.
+   * 
+   * @private
+   * @param {number[]} observed How many times each face came up
+   * @returns {GoodnessOfFit} The result of the test
+   */
+  static goodnessOfFit(observed) {
+    const total = FudgeUtil.sumScores(observed);
+    const expected = observed.map(() => total / observed.length);
+    const statistic = observed.reduce((sum, count, i) => sum + ((count - expected[i]) ** 2) / expected[i], 0);
+    const degreesOfFreedom = observed.length - 1;
+
+    return {
+      observed,
+      expected,
+      statistic: total > 0 ? statistic : 0,
+      degreesOfFreedom,
+      pValue: total > 0 ? FairnessTest.chiSquaredPValue(statistic, degreesOfFreedom) : 1,
+    };
+  }
+
+  /**
+   * Describe the result of the tests in plain language.
+   * 
+   * @private
+   * @param {GoodnessOfFit} d6 The test on the raw d6 faces
+   * @param {GoodnessOfFit} fudge The test on the fudge faces
+   * @returns {string} The verdict
+   */
+  static verdict(d6, fudge) {
+    if (d6.expected[0] === undefined || d6.expected[0] < FairnessTest.minimumExpected) {
+      return 'Not enough rolls to tell yet. Keep rolling!';
+    }
+
+    const pValue = Math.min(d6.pValue, fudge.pValue);
+    if (pValue < 0.01) {
+      return 'These dice are unusually uneven. Fair dice would rarely do this, but check plenty of times and it will happen now and then.';
+    } else if (pValue < 0.05) {
+      return 'These dice are a little uneven, but not enough to say they\'re cursed.';
+    }
+    return 'These dice look fair.';
+  }
+
+  /**
+   * Get the chance of a chi-squared statistic at least this large.
+   * 
+   * @private
+   * @param {number} statistic The chi-squared statistic
+   * @param {number} degreesOfFreedom The degrees of freedom
+   * @returns {number} The p-value
+   */
+  static chiSquaredPValue(statistic, degreesOfFreedom) {
+    return FairnessTest.upperGamma(degreesOfFreedom / 2, statistic / 2);
+  }
+
+  /**
+   * The regularised upper incomplete gamma function, Q(a, x).
+   * 
+   * Uses the series expansion for small x and the continued fraction for large x.
+   * 
+   * @private
+   * @param {number} a The shape
+   * @param {number} x The point to evaluate at
+   * @returns {number} Q(a, x)
+   */
+  static upperGamma(a, x) {
+    if (x <= 0) {
+      return 1;
+    }
+
+    const logPrefix = a * Math.log(x) - x - FairnessTest.logGamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 200 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+        term *= x / (a + n);
+        sum += term;
+      }
+      return 1 - sum * Math.exp(logPrefix);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let fraction = d;
+    for (let n = 1; n < 200; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      d = Math.abs(d) < tiny ? tiny : d;
+      c = b + an / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      d = 1 / d;
+      const delta = d * c;
+      fraction *= delta;
+      if (Math.abs(delta - 1) < 1e-15) {
+        break;
+      }
+    }
+    return fraction * Math.exp(logPrefix);
+  }
+
+  /**
+   * The natural log of the gamma function, by the Lanczos approximation.
+   * 
+   * @private
+   * @param {number} x The point to evaluate at
+   * @returns {number} ln(Γ(x))
+   */
+  static logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941678, 24.01409824083091,
+      -1.231739572450155, 1.208650973866179e-3, -5.395239384953e-6,
+    ];
+    let series = 1 + 1.90015e-10;
+    coefficients.forEach((coefficient, i) => {
+      series += coefficient / (x + i + 1);
+    });
+    const t = x + 5.5;
+    return (x + 0.5) * Math.log(t) - t + Math.log(Math.sqrt(2 * Math.PI) * series / x);
+  }
+}
+
+/**
+ * A way of drawing the faces of fudge dice, e.g. as symbols or as words.
+ */
+class FaceStyle {
+  /**
+   * Create a new face style.
+   * 
+   * @param {string} id The ID the style is saved under
+   * @param {string} name The name shown in the config menu
+   * @param {Object<string, string>} faces The HTML for each face, keyed by fudge score
+   * @param {(scope: string) => string} [css] Any extra CSS the style needs, given a selector to prefix each rule with
+   */
+  constructor(id, name, faces, css = () => '') {
+    this.id = id;
+    this.name = name;
+    this.faces = faces;
+    this.css = css;
+  }
+
+  /**
+   * Get the face to draw for a fudge score.
+   * 
+   * @public
+   * @param {FudgeScore} score The fudge score
+   * @returns {string} The face, as HTML
+   */
+  display(score) {
+    return this.faces[score.toString()] ?? '';
+  }
+
+  /**
+   * Get any extra CSS this style needs.
+   * 
+   * @public
+   * @param {string} scope A selector for the chat while the dice are converted, to prefix each rule with
+   * @returns {string} CSS rules
+   */
+  getCss(scope) {
+    return this.css(scope);
+  }
+}
+
+/**
+ * The registry of face styles that can be chosen for fudge dice.
+ * @abstract
+ */
+class FaceStyles {
+  /**
+   * The style used when none has been chosen.
+   * @readonly
+   */
+  static defaultId = 'classic';
+
+  /**
+   * @private
+   * @type {Map<string, FaceStyle>}
+   */
+  static registry = new Map();
+
+  /**
+   * Add a face style to the registry.
+   * 
+   * @public
+   * @param {FaceStyle} style The style to add
+   */
+  static register(style) {
+    FaceStyles.registry.set(style.id, style);
+  }
+
+  /**
+   * Get a face style by its ID, falling back to the default style if it doesn't exist.
+   * 
+   * @public
+   * @param {string} id The ID of the style
+   * @returns {FaceStyle} The face style
+   */
+  static get(id) {
+    return FaceStyles.registry.get(id) ?? FaceStyles.registry.get(FaceStyles.defaultId);
+  }
+
+  /**
+   * Get every registered face style.
+   * 
+   * @public
+   * @returns {FaceStyle[]} The face styles, in the order they were registered
+   */
+  static get all() {
+    return Array.from(FaceStyles.registry.values());
+  }
+}
+
+FaceStyles.register(new FaceStyle('classic', 'Symbols (+ \u2212)', {
+  [FudgeScore.Minus]: FudgeUtil.displayScore(FudgeScore.Minus),
+  [FudgeScore.Zero]: FudgeUtil.displayScore(FudgeScore.Zero),
+  [FudgeScore.Plus]: FudgeUtil.displayScore(FudgeScore.Plus),
+}));
+
+FaceStyles.register(new FaceStyle('boxed', 'Boxed symbols (\u229E \u229F \u2610)', {
+  [FudgeScore.Minus]: '&#x229F;',
+  [FudgeScore.Zero]: '&#x2610;',
+  [FudgeScore.Plus]: '&#x229E;',
+}));
+
+FaceStyles.register(new FaceStyle('words', 'Words (Plus, Blank, Minus)', {
+  [FudgeScore.Minus]: '<span class="fudge-face-word">Minus</span>',
+  [FudgeScore.Zero]: '<span class="fudge-face-word">Blank</span>',
+  [FudgeScore.Plus]: '<span class="fudge-face-word">Plus</span>',
+}, scope => `
+  ${scope} .fudge-face-word {
+    font-size: 9px;
+    text-transform: uppercase;
+  }
+`));
+
+/**
+ * Draw a 3×3 grid of dots, with the given dots filled in.
+ * 
+ * @param {number[]} filled The indexes of the filled dots, reading left to right, top to bottom
+ * @returns {string} The dots, as HTML
+ */
+function dotGrid(filled) {
+  const dots = Array.from({ length: 9 }, (_, i) => `<span class="fudge-face-dot${filled.includes(i) ? ' fudge-face-dot--on' : ''}"></span>`);
+  return `<span class="fudge-face-dots">${dots.join('')}</span>`;
+}
+
+FaceStyles.register(new FaceStyle('dots', 'Dots', {
+  [FudgeScore.Minus]: dotGrid([3, 4, 5]),
+  [FudgeScore.Zero]: dotGrid([]),
+  [FudgeScore.Plus]: dotGrid([1, 3, 4, 5, 7]),
+}, scope => `
+  ${scope} .fudge-face-dots {
+    display: grid;
+    grid-template-columns: repeat(3, 6px);
+    grid-template-rows: repeat(3, 6px);
+    gap: 2px;
+  }
+
+  ${scope} .fudge-face-dot--on {
+    border-radius: 50%;
+    background-color: currentColor;
+  }
+`));
+
+/**
+ * Draw a fudge die face as an SVG, with the given mark in the middle.
+ * 
+ * @param {string} mark The SVG elements for the mark on the face
+ * @returns {string} The face, as HTML
+ */
+function svgFace(mark) {
+  return `<svg class="fudge-face-svg" viewBox="0 0 24 24" aria-hidden="true">`
+    + `<rect x="1" y="1" width="22" height="22" rx="4" fill="none" stroke="currentColor" stroke-opacity="0.4" stroke-width="1.5"/>`
+    + `${mark}</svg>`;
+}
+
+FaceStyles.register(new FaceStyle('svg', 'Realistic die (blanks marked)', {
+  [FudgeScore.Minus]: svgFace('<path d="M6 12h12" stroke="currentColor" stroke-width="3.5" stroke-linecap="round"/>'),
+  [FudgeScore.Zero]: svgFace('<circle cx="12" cy="12" r="2" fill="currentColor" fill-opacity="0.4"/>'),
+  [FudgeScore.Plus]: svgFace('<path d="M6 12h12M12 6v12" stroke="currentColor" stroke-width="3.5" stroke-linecap="round"/>'),
+}, scope => `
+  ${scope} .fudge-face-svg {
+    display: block;
+    width: 24px;
+    height: 24px;
+  }
+`));
+
+/**
+ * Shared names for HTML/CSS classes, attributes, and variable names.
+ */
+const HtmlClass = Object.freeze({
+  /** @readonly */
+  FudgeRoot: 'fudge-running',
+  /** @readonly */
+  FudgeOn: 'fudge--on',
+  /** @readonly */
+  FudgeColorsOn: 'fudge-colors--on',
+  /** @readonly */
+  FudgeDie: 'fudge-die',
+  /** @readonly */
+  FudgeDieFace: 'fudge-die-face',
+  /** @readonly */
+  FudgeDieFaceSymbol: 'fudge-die-face-symbol',
+  /** @readonly */
+  FudgeTotal: 'fudge-total',
+  /** @readonly */
+  FudgeOutcome: 'fudge-outcome',
+  /** @readonly */
+  FudgeViewToggle: 'fudge-view-toggle',
+  /** @readonly */
+  FudgeCopyButton: 'fudge-copy-button',
+  /** @readonly */
+  ScreenReaderOnly: 'fudge-sr-only',
+});
+
+const HtmlAttribute = Object.freeze({
+  /** @readonly */
+  DataD6Score: 'data-d6-score',
+  /** @readonly */
+  DataFudgeScore: 'data-fudge-score',
+  /** @readonly */
+  DataFudgeTotal: 'data-fudge-total',
+  /** @readonly */
+  DataFudgeResult: 'data-fudge-result',
+  /** @readonly */
+  DataFudgeTone: 'data-fudge-tone',
+  /** @readonly */
+  DataFudgeMode: 'data-fudge-mode',
+});
+  
+const CssAttribute = Object.freeze({
+  /** @readonly */
+  FudgeDiceMinusColor: '--fudge-dice-minus-color',
+  /** @readonly */
+  FudgeDicePlusColor: '--fudge-dice-plus-color',
+});
+
+/**
+ * A Stack Exchange chat server. Each server has its own rooms, so room IDs are only unique within one server.
+ */
+class ChatServer {
+  /**
+   * Construct a new chat server.
+   * 
+   * @param {string} host The host name of the server, e.g. `chat.stackexchange.com`
+   * @param {string} name The name to show for the server
+   * @param {string | null} homeSite The host name of the site whose rooms use the script without being opted in, if any
+   */
+  constructor(host, name, homeSite) {
+    this.host = host;
+    this.name = name;
+    this.homeSite = homeSite;
+  }
+
+  /**
+   * Check whether the page belongs to this server's home site, going by the site logo in the footer.
+   * 
+   * @public
+   * @returns {boolean} Whether the page is on the home site
+   */
+  isOnHomeSite() {
+    if (!this.homeSite) {
+      return false;
+    }
+    return document.querySelector('#footer-logo a:link')?.getAttribute('href')?.includes(this.homeSite) ?? false;
+  }
+}
+
+/**
+ * The registry of chat servers the script knows its way around.
+ * @abstract
+ */
+class ChatServers {
+  /**
+   * @private
+   * @type {Map<string, ChatServer>}
+   */
+  static registry = new Map();
+
+  /**
+   * Add a chat server to the registry.
+   * 
+   * @public
+   * @param {ChatServer} server The server to add
+   */
+  static register(server) {
+    ChatServers.registry.set(server.host, server);
+  }
+
+  /**
+   * Get a chat server by its host name.
+   * 
+   * @public
+   * @param {string} host The host name of the server
+   * @returns {ChatServer | undefined} The chat server, if it's known
+   */
+  static get(host) {
+    return ChatServers.registry.get(host);
+  }
+
+  /**
+   * Get every registered chat server.
+   * 
+   * @public
+   * @returns {ChatServer[]} The chat servers, in the order they were registered
+   */
+  static get all() {
+    return Array.from(ChatServers.registry.values());
+  }
+}
+
+// Only RPG.SE rooms have dice by default, so the other servers' rooms all need opting in.
+ChatServers.register(new ChatServer('chat.stackexchange.com', 'Stack Exchange', 'rpg.stackexchange.com'));
+ChatServers.register(new ChatServer('chat.meta.stackexchange.com', 'Meta Stack Exchange', null));
+ChatServers.register(new ChatServer('chat.stackoverflow.com', 'Stack Overflow', null));
+
+/**
+ * Utilities for interacting with a Chat.SE page.
+ * @abstract
+ */
+class ChatUtil {
+  /**
+   * Get the chat server this page is on.
+   * 
+   * @public
+   * @returns {ChatServer | null} The chat server, or null if it isn't one the script knows
+   */
+  static get server() {
+    return ChatServers.get(window.location.hostname) ?? null;
+  }
+
+  /**
+   * Check if we're in a live chat room
+   * 
+   * @public
+   * @returns {boolean} Whether we're in a live chat room
+   */
+  static get inLiveRoom() {
+    return window.location.pathname.includes('/rooms/') && !this.inConversation;
+  }
+
+  /**
+   * Check if we're in a transcript page
+   * 
+   * @public
+   * @returns {boolean} Whether we're in a transcript page
+   */
+  static get inTranscript() {
+    return window.location.pathname.includes('/transcript/');
+  }
+
+  /**
+   * Check in we're in a conversation aka bookmark.
+   * 
+   * @public
+   * @returns {boolean} Whether we're in a conversation/bookmark page
+   */
+  static get inConversation() {
+    // this split will turn into this for a conversation:
+    // ["", "rooms", "11", "conversation", "conversation-name-goes-here" ]
+    const pathParts = window.location.pathname.split('/', 5);
+    return pathParts.length >= 5 && pathParts[3] === 'conversation';
+  }
+
+  /**
+   * Check if we're on the chat search results page.
+   * 
+   * @public
+   * @returns {boolean} Whether we're on the search page
+   */
+  static get inSearch() {
+    return window.location.pathname.startsWith('/search');
+  }
+
+  /**
+   * Check if we're on a user's page, e.g. their recent messages.
+   * 
+   * @public
+   * @returns {boolean} Whether we're on a user page
+   */
+  static get inUserPage() {
+    return window.location.pathname.startsWith('/users/');
+  }
+
+  /**
+   * Check if the room is live, i.e. new messages will be arriving.
+   * 
+   * @public
+   * @returns {boolean} Whether the page is live
+   */
+  static get isLive() {
+    return this.inLiveRoom;
+  }
+
+  /**
+   * Get the current room ID.
+   * 
+   * Search results may be limited to a room, but otherwise they and user pages mix messages from many rooms.
+   * Use {@link ChatUtil.getRoomId} to find the room of a particular message.
+   * 
+   * @public
+   * @returns {string | null} The room ID, or null if the page isn't about one room
+   */
+  static get roomId() {
+    if (ChatUtil.inSearch) {
+      const param = Array.from(new URLSearchParams(window.location.search)).find(([key]) => key.toLowerCase() === 'room');
+      return param?.[1] || null;
+    } else if (ChatUtil.inUserPage) {
+      return null;
+    }
+
+    // this split will turn into one of these for the Fate room:
+    // ["", "room", "11"]
+    // ["", "transcript", "11"]
+    const pathParts = window.location.pathname.split('/', 3);
+    return pathParts[2];
+  }
+
+  /**
+   * Get the key that a room's settings are saved under, e.g. `chat.stackexchange.com:11`.
+   * 
+   * @public
+   * @param {string} roomId The ID of a room on this page's server
+   * @returns {string} The room key
+   */
+  static getRoomKey(roomId) {
+    return `${window.location.hostname}:${roomId}`;
+  }
+
+  /**
+   * Work out the room key from a room ID or a link to a room, e.g. `11` or `https://chat.stackexchange.com/rooms/11/fate`.
+   * 
+   * A bare ID is taken to be on this page's server.
+   * 
+   * @public
+   * @param {string} text The room ID or link
+   * @returns {string | null} The room key, or null if the text isn't a room on a known chat server
+   */
+  static parseRoomKey(text) {
+    const trimmed = text.trim();
+    if (/^\d+$/.test(trimmed)) {
+      return ChatUtil.getRoomKey(trimmed);
+    }
+
+    const match = trimmed.match(/^(?:https?:\/\/)?([a-z0-9.-]+)\/(?:rooms|transcript)\/(\d+)(?:[/?#]|$)/i);
+    if (!match || !ChatServers.get(match[1].toLowerCase())) {
+      return null;
+    }
+    return `${match[1].toLowerCase()}:${match[2]}`;
+  }
+
+  /**
+   * Get the name of the room this page is about.
+   * 
+   * @public
+   * @returns {string} The room name, or an empty string if the page doesn't show one
+   */
+  static get roomName() {
+    return document.querySelector('#roomname, .room-name')?.textContent.trim() ?? '';
+  }
+
+  /**
+   * Get the key that a user's saved rolls are kept under, e.g. `chat.stackexchange.com:12345`.
+   * 
+   * @public
+   * @param {string} userId The ID of a user on this page's server
+   * @returns {string} The user key
+   */
+  static getUserKey(userId) {
+    return `${window.location.hostname}:${userId}`;
+  }
+
+  /**
+   * Get the ID of the user who's signed in to chat.
+   * 
+   * @public
+   * @returns {string} The user ID, or an empty string if nobody is signed in
+   */
+  static get currentUserId() {
+    const chatUserId = window.CHAT?.CURRENT_USER_ID;
+    if (chatUserId) {
+      return chatUserId.toString();
+    }
+
+    const activeUser = document.getElementById('active-user');
+    const userClass = Array.from(activeUser?.classList ?? []).find(className => /^user-\d+$/.test(className));
+    return userClass?.replace('user-', '') ?? '';
+  }
+
+  /**
+   * Get the main chat element.
+   * 
+   * @public
+   * @returns {HTMLElement} The main chat element
+   */
+  static getChatElement() { 
+    if (ChatUtil.inTranscript) {
+      return document.getElementById('transcript');
+    } else if (ChatUtil.inConversation) {
+      return document.getElementById('conversation');
+    } else if (ChatUtil.inSearch || ChatUtil.inUserPage) {
+      return document.getElementById('content');
+    }
+    return document.getElementById('chat');
+  }
+
+  /**
+   * Matches chat messages, including the copies of them in the starboard.
+   * @readonly
+   */
+  static messageSelector = '.message, #starred-posts li';
+
+  /**
+   * Matches links to chat rooms, e.g. the room headings on user pages.
+   * @readonly
+   */
+  static roomLinkSelector = 'a[href*="/rooms/"]';
+
+  /**
+   * Get the chat message that an element belongs to.
+   * 
+   * @public
+   * @param {HTMLElement} element An element inside a chat message, e.g. a die
+   * @returns {HTMLElement | null} The message element, if there is one
+   */
+  static getMessageElement(element) {
+    return element.closest(ChatUtil.messageSelector);
+  }
+
+  /**
+   * The room found for each element already looked up, on pages that mix rooms.
+   * Each entry is the room linked nearest before the element, so neighbours can share the answer instead of searching again.
+   * @private
+   * @type {WeakMap<Element, string | null>}
+   */
+  static roomCache = new WeakMap();
+
+  /**
+   * Get the room that an element, e.g. a message, was posted in.
+   * 
+   * On pages that mix rooms, this is the room linked nearest before the element, e.g. the heading of its group.
+   * Answers are cached along the way, so looking up every message on a page only searches each part of it once.
+   * 
+   * @public
+   * @param {HTMLElement} element The element
+   * @returns {string | null} The room ID, or null if it can't be worked out
+   */
+  static getRoomId(element) {
+    if (ChatUtil.roomId) {
+      return ChatUtil.roomId;
+    }
+
+    /** @type {Element[]} */
+    const visited = [];
+    let roomId = null;
+    let node = element;
+    while (node && node !== document.body) {
+      if (ChatUtil.roomCache.has(node)) {
+        roomId = ChatUtil.roomCache.get(node);
+        break;
+      }
+      visited.push(node);
+
+      const sibling = node.previousElementSibling;
+      if (!sibling) {
+        node = node.parentElement;
+        continue;
+      }
+
+      const links = sibling.matches(ChatUtil.roomLinkSelector) ? [sibling] : Array.from(sibling.querySelectorAll(ChatUtil.roomLinkSelector));
+      // Links someone posted in a message don't say where the message itself was.
+      const link = links.filter(link => !link.closest('.content')).pop();
+      roomId = link?.getAttribute('href').match(/\/rooms\/(\d+)/)?.[1] ?? null;
+      if (roomId) {
+        break;
+      }
+      // Nothing in the sibling, so whatever comes before the sibling comes before this node too.
+      node = sibling;
+    }
+
+    visited.forEach(visitedNode => ChatUtil.roomCache.set(visitedNode, roomId));
+    return roomId;
+  }
+
+  /**
+   * Get the message that a message replies to, from its reply link.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @returns {string | null} The ID of the parent message, or null if it isn't a reply
+   */
+  static getReplyParentId(message) {
+    return message.querySelector('.reply-info')?.getAttribute('href')?.match(/message\/(\d+)/)?.[1] ?? null;
+  }
+
+  /**
+   * Get the date of the transcript page being viewed.
+   * 
+   * @public
+   * @returns {Date | null} The start of the transcript's day, or null if this isn't a transcript page
+   */
+  static get transcriptDate() {
+    if (!ChatUtil.inTranscript) {
+      return null;
+    }
+
+    // this split will turn into one of these for a transcript:
+    // ["", "transcript", "11"]
+    // ["", "transcript", "11", "2023", "1", "5"]
+    const [year, month, day] = window.location.pathname.split('/').slice(3, 6).map(Number);
+    if (!year || !month || !day) {
+      const today = new Date();
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Get the details of who posted a message and when.
+   * 
+   * The time is only known on transcript pages; elsewhere it's null.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @returns {{ messageId: string, userId: string, userName: string, time: number | null }} The message details
+   */
+  static getMessageInfo(message) {
+    const monologue = message.closest('.monologue');
+    const userClass = Array.from(monologue?.classList ?? []).find(className => /^user-\d+$/.test(className));
+
+    return {
+      messageId: ChatUtil.getMessageId(message),
+      userId: userClass?.replace('user-', '') ?? '',
+      userName: monologue?.querySelector('.signature .username')?.textContent.trim() ?? '',
+      time: ChatUtil.getMessageTime(message),
+    };
+  }
+
+  /**
+   * Get the ID of a chat message.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @returns {string} The message ID, or an empty string if it isn't a proper message, e.g. a starboard copy
+   */
+  static getMessageId(message) {
+    return message.id.match(/^message-(\d+)$/)?.[1] ?? '';
+  }
+
+  /**
+   * Work out when a message was posted from the timestamps on a transcript page.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @returns {number | null} The time in milliseconds since the epoch, or null if it can't be worked out
+   */
+  static getMessageTime(message) {
+    const date = ChatUtil.transcriptDate;
+    const timestamp = message.querySelector('.timestamp') ?? message.closest('.monologue')?.querySelector('.timestamp');
+    const match = timestamp?.textContent.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+    if (!date || !match) {
+      return null;
+    }
+
+    let hours = Number(match[1]);
+    const meridiem = match[3]?.toUpperCase();
+    if (meridiem === 'PM' && hours < 12) {
+      hours += 12;
+    } else if (meridiem === 'AM' && hours === 12) {
+      hours = 0;
+    }
+    date.setHours(hours, Number(match[2]));
+    return date.getTime();
+  }
+
+  /**
+   * Read the score of a d6 in chat, whether or not it's been converted yet.
+   * 
+   * @public
+   * @param {HTMLElement} die The `.six-sided-die` element
+   * @returns {number} The d6 score
+   */
+  static readD6(die) {
+    if (die.hasAttribute(HtmlAttribute.DataD6Score)) {
+      return Number(die.getAttribute(HtmlAttribute.DataD6Score));
+    }
+    return Array.from(die.querySelectorAll('.dot')).map(dot => dot.textContent).filter(text => text.includes('•')).length;
+  }
+
+  /**
+   * Get the text a user typed into a message, leaving out any dice and anything this script added.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @returns {string} The message text
+   */
+  static getMessageText(message) {
+    const content = (message.querySelector('.content') ?? message).cloneNode(true);
+    content.querySelectorAll(`.six-sided-die, .${HtmlClass.FudgeTotal}, .${HtmlClass.FudgeOutcome}, .${HtmlClass.FudgeViewToggle}, .${HtmlClass.FudgeCopyButton}`).forEach(element => element.remove());
+    return content.textContent.replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Console logger for for the script.
+ * 
+ * @abstract
+ */
+class Log {
+  /** @readonly */
+  static prefix = '[🎲 RPG.SE Fudge Dice]';
+
+  /**
+   * Log an informational message.
+   * 
+   * @param  {...any} message The message and any information to log.
+   */
+  static log(...message) {
+    console.log(Log.prefix, ...message);
+  }
+
+  /**
+   * Log an error message.
+   * 
+   * @param  {...any} message The message and any information to log.
+   */
+  static error(...message) {
+    console.error(Log.prefix, ...message);
+  }
+}
+
+/**
+ * @typedef {Object} SerializedConfig
+ * @property {number} version The schema version the config was saved with
+ * @property {boolean} useColors
+ * @property {string} plusColor
+ * @property {string} minusColor
+ * @property {string[]} rooms
+ * @property {boolean} useLadder
+ * @property {SerializedLadder} ladder
+ * @property {Object<string, string>} modes
+ * @property {Object<string, RoomActivation>} activation
+ * @property {Object<string, Partial<SerializedConfig>>} presets Named sets of settings, keyed by name
+ * @property {string} faceStyle The ID of the face style for fudge dice
+ * @property {boolean} announceRolls Whether to announce new rolls to screen readers in live rooms
+ * @property {Object<string, UserRolls>} savedRolls Each chat user's recent and favorite rolls, keyed by user key
+ * @property {Object<string, Partial<SerializedConfig>>} overrides Settings that differ from the global ones in a room, keyed by room key
+ * @property {Object<string, RoomInfo>} roomInfo The name and last visit of each room the script has run in, keyed by room key
+ */
+
+/**
+ * The schema of the saved config: its version, how to migrate older versions, and how to validate it.
+ * @abstract
+ */
+class ConfigSchema {
+  /**
+   * Migrations between schema versions, in order. The migration at index N upgrades a config from version N to N + 1.
+   * 
+   * Add new migrations to the end; never change old ones, since some users will still have configs that need them.
+   * 
+   * @readonly
+   * @type {((config: Object) => Object)[]}
+   */
+  static migrations = [
+    // 0 → 1: Configs from before versioning. Room IDs may have been hand-edited in as numbers, or as junk like null, which is dropped.
+    config => ({
+      ...config,
+      rooms: Array.isArray(config.rooms)
+        ? config.rooms.filter(room => typeof room === 'string' || typeof room === 'number').map(room => room.toString().trim())
+        : config.rooms,
+    }),
+    // 1 → 2: Rooms are keyed by chat server too, since room IDs collide across servers. Only chat.stackexchange.com was supported before.
+    config => {
+      const toKey = room => `chat.stackexchange.com:${room}`;
+      const rekey = map => (ConfigSchema.isObject(map)
+        ? Object.fromEntries(Object.entries(map).map(([room, entry]) => [toKey(room), entry]))
+        : map);
+
+      return {
+        ...config,
+        rooms: Array.isArray(config.rooms) ? config.rooms.map(toKey) : config.rooms,
+        modes: rekey(config.modes),
+        activation: rekey(config.activation),
+      };
+    },
+  ];
+
+  /**
+   * Validators for each field of the config. A field that fails validation falls back to its default.
+   * 
+   * @readonly
+   * @type {Object<string, (value: any) => boolean>}
+   */
+  static validators = {
+    useColors: value => typeof value === 'boolean',
+    plusColor: value => ConfigSchema.isColor(value),
+    minusColor: value => ConfigSchema.isColor(value),
+    rooms: value => Array.isArray(value) && value.every(room => ConfigSchema.isRoomKey(room)),
+    useLadder: value => typeof value === 'boolean',
+    ladder: value => ConfigSchema.isLadder(value),
+    modes: value => ConfigSchema.isRoomMap(value, mode => typeof mode === 'string'),
+    activation: value => ConfigSchema.isRoomMap(value, activation => ConfigSchema.isActivation(activation)),
+    presets: value => ConfigSchema.isObject(value) && Object.values(value).every(preset => ConfigSchema.isObject(preset)),
+    faceStyle: value => typeof value === 'string',
+    announceRolls: value => typeof value === 'boolean',
+    savedRolls: value => ConfigSchema.isObject(value) && Object.values(value).every(rolls => ConfigSchema.isUserRolls(rolls)),
+    overrides: value => ConfigSchema.isRoomMap(value, overrides => ConfigSchema.isRoomOverrides(overrides)),
+    roomInfo: value => ConfigSchema.isRoomMap(value, info => ConfigSchema.isObject(info)
+      && typeof info.name === 'string'
+      && Number.isFinite(info.lastSeen)),
+  };
+
+  /**
+   * Validators for each entry of the fields that are lists. An invalid entry is dropped on its own,
+   * so one bad room doesn't reset the whole list.
+   * 
+   * @readonly
+   * @type {Object<string, (entry: any) => boolean>}
+   */
+  static entryValidators = {
+    rooms: room => ConfigSchema.isRoomKey(room),
+  };
+
+  /**
+   * The current schema version.
+   * 
+   * @public
+   * @readonly
+   */
+  static get version() {
+    return ConfigSchema.migrations.length;
+  }
+
+  /**
+   * Parse a raw saved config, migrating it to the current version and dropping any invalid fields.
+   * 
+   * @public
+   * @param {string} raw The raw saved config
+   * @returns {{ config: Partial<SerializedConfig>, invalid: string[], pruned: string[], migrated: boolean }}
+   *   The valid fields of the config, the names of any invalid fields, the names of any fields that had invalid entries
+   *   dropped, and whether it was migrated
+   * @throws {Error} If the config can't be read at all
+   */
+  static parse(raw) {
+    return ConfigSchema.parseObject(JSON.parse(raw));
+  }
+
+  /**
+   * Migrate an already-parsed config to the current version and drop any invalid fields.
+   * 
+   * @public
+   * @param {any} parsed The parsed config
+   * @returns {{ config: Partial<SerializedConfig>, invalid: string[], pruned: string[], migrated: boolean }}
+   *   The valid fields of the config, the names of any invalid fields, the names of any fields that had invalid entries
+   *   dropped, and whether it was migrated
+   * @throws {Error} If the config isn't an object
+   */
+  static parseObject(parsed) {
+    if (!ConfigSchema.isObject(parsed)) {
+      throw Error('The saved config is not an object');
+    }
+
+    const fromVersion = Number.isInteger(parsed.version) ? parsed.version : 0;
+    const migrated = ConfigSchema.migrate(parsed, fromVersion);
+
+    /** @type {Partial<SerializedConfig>} */
+    const config = { version: Math.max(fromVersion, ConfigSchema.version) };
+    /** @type {string[]} */
+    const invalid = [];
+    /** @type {string[]} */
+    const pruned = [];
+    Object.entries(ConfigSchema.validators).forEach(([field, isValid]) => {
+      let value = migrated[field];
+      if (value === undefined) {
+        return;
+      }
+
+      const isValidEntry = ConfigSchema.entryValidators[field];
+      if (isValidEntry && Array.isArray(value)) {
+        const kept = value.filter(entry => isValidEntry(entry));
+        if (kept.length < value.length) {
+          pruned.push(field);
+          value = kept;
+        }
+      }
+
+      if (isValid(value)) {
+        config[field] = value;
+      } else {
+        invalid.push(field);
+      }
+    });
+
+    return { config, invalid, pruned, migrated: fromVersion < ConfigSchema.version };
+  }
+
+  /**
+   * Run every migration needed to bring a config up to the current version.
+   * 
+   * @private
+   * @param {Object} config The config to migrate
+   * @param {number} fromVersion The version the config was saved with
+   * @returns {Object} The migrated config
+   */
+  static migrate(config, fromVersion) {
+    let migrated = config;
+    for (let version = fromVersion; version < ConfigSchema.version; version++) {
+      migrated = ConfigSchema.migrations[version](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a plain object
+   */
+  static isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a hex color, e.g. `#CC0000`
+   */
+  static isColor(value) {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a chat room key, e.g. `chat.stackexchange.com:11`
+   */
+  static isRoomKey(value) {
+    return typeof value === 'string' && /^[a-z0-9.-]+:\d+$/i.test(value);
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @param {(entry: any) => boolean} isValidEntry A validator for each entry
+   * @returns {boolean} Whether the value is an object keyed by room key with valid entries
+   */
+  static isRoomMap(value, isValidEntry) {
+    return ConfigSchema.isObject(value)
+      && Object.entries(value).every(([room, entry]) => ConfigSchema.isRoomKey(room) && isValidEntry(entry));
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a valid ladder
+   */
+  static isLadder(value) {
+    return ConfigSchema.isObject(value)
+      && ConfigSchema.isObject(value.names)
+      && Object.values(value.names).every(name => typeof name === 'string')
+      && Number.isInteger(value.min)
+      && Number.isInteger(value.max)
+      && value.min <= value.max
+      && Object.values(LadderOverflow).includes(value.overflow);
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a valid list of a user's rolls
+   */
+  static isUserRolls(value) {
+    const isRollList = list => Array.isArray(list) && list.every(roll => ConfigSchema.isObject(roll)
+      && Number.isInteger(roll.count) && roll.count > 0
+      && typeof roll.skill === 'string'
+      && Number.isInteger(roll.modifier)
+      && typeof roll.reason === 'string');
+
+    return ConfigSchema.isObject(value) && isRollList(value.recent) && isRollList(value.favorites);
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a valid set of settings for one room, with only settings that can differ by room
+   */
+  static isRoomOverrides(value) {
+    return ConfigSchema.isObject(value)
+      && Object.entries(value).every(([field, setting]) => UserConfig.roomSettings.includes(field) && ConfigSchema.validators[field](setting));
+  }
+
+  /**
+   * @private
+   * @param {any} value The value to check
+   * @returns {boolean} Whether the value is a valid room activation
+   */
+  static isActivation(value) {
+    return ConfigSchema.isObject(value)
+      && (value.mode === undefined || Object.values(ActivationMode).includes(value.mode))
+      && (value.users === undefined || (Array.isArray(value.users) && value.users.every(user => typeof user === 'string')))
+      && (value.selection === undefined || Object.values(DiceSelection).includes(value.selection))
+      && (value.firstCount === undefined || (Number.isInteger(value.firstCount) && value.firstCount >= 0));
+  }
+}
+
+/**
+ * @typedef {Object} SettingsBundle
+ * @property {string} [name] The name of the preset, if the settings are a preset
+ * @property {Partial<SerializedConfig>} settings The settings
+ */
+
+/**
+ * @typedef {Object} SettingsChange
+ * @property {string} field The name of the setting in the config
+ * @property {string} label A readable name for the setting
+ * @property {string} from The current value, for display
+ * @property {string} to The new value, for display
+ */
+
+/**
+ * Encoding and decoding settings to share between users, as files or as text strings.
+ * @abstract
+ */
+class SettingsTransfer {
+  /**
+   * The prefix for settings shared as text.
+   * @readonly
+   */
+  static prefix = 'fudge-dice:';
+
+  /**
+   * Readable names for each shareable setting. Presets themselves aren't shared.
+   * @readonly
+   */
+  static labels = {
+    useColors: 'Color the fudge dice',
+    plusColor: 'Plus color',
+    minusColor: 'Minus color',
+    rooms: 'Rooms using fudge dice',
+    useLadder: 'Show Fate ladder names',
+    ladder: 'Fate ladder',
+    modes: 'Dice modes',
+    activation: 'Dice to convert',
+    faceStyle: 'Fudge face style',
+    overrides: 'Room settings',
+  };
+
+  /**
+   * Pick out the shareable settings from a config.
+   * 
+   * @public
+   * @param {Partial<SerializedConfig>} config The config
+   * @returns {Partial<SerializedConfig>} Just the shareable settings
+   */
+  static shareable(config) {
+    /** @type {Partial<SerializedConfig>} */
+    const settings = { version: config.version };
+    Object.keys(SettingsTransfer.labels)
+      .filter(field => config[field] !== undefined)
+      .forEach(field => {
+        settings[field] = config[field];
+      });
+    return settings;
+  }
+
+  /**
+   * Encode settings as a text string that can be pasted anywhere, e.g. into chat.
+   * 
+   * @public
+   * @param {SettingsBundle} bundle The settings to encode
+   * @returns {string} The encoded settings
+   */
+  static encode(bundle) {
+    const bytes = new TextEncoder().encode(JSON.stringify(bundle));
+    return SettingsTransfer.prefix + btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * Decode settings from a text string or a JSON file, and validate them.
+   * 
+   * Plain saved configs are accepted too, not just bundles.
+   * 
+   * @public
+   * @param {string} text The encoded settings, or JSON
+   * @returns {{ bundle: SettingsBundle, invalid: string[] }} The valid settings, and the names of any invalid ones
+   * @throws {Error} If the text can't be read as settings at all
+   */
+  static decode(text) {
+    const trimmed = text.trim();
+
+    let json = trimmed;
+    if (trimmed.startsWith(SettingsTransfer.prefix)) {
+      const binary = atob(trimmed.slice(SettingsTransfer.prefix.length));
+      json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    const parsed = JSON.parse(json);
+    const isBundle = ConfigSchema.isObject(parsed) && ConfigSchema.isObject(parsed.settings);
+    const { config, invalid } = ConfigSchema.parseObject(isBundle ? parsed.settings : parsed);
+
+    /** @type {SettingsBundle} */
+    const bundle = { settings: SettingsTransfer.shareable(config) };
+    if (isBundle && typeof parsed.name === 'string' && parsed.name.trim()) {
+      bundle.name = parsed.name.trim();
+    }
+
+    return { bundle, invalid };
+  }
+
+  /**
+   * List how some settings differ from the current config.
+   * 
+   * @public
+   * @param {SerializedConfig} current The current config
+   * @param {Partial<SerializedConfig>} incoming The settings that would be applied
+   * @returns {SettingsChange[]} The settings that would change
+   */
+  static describeChanges(current, incoming) {
+    const show = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+    return Object.entries(SettingsTransfer.labels)
+      .filter(([field]) => incoming[field] !== undefined && JSON.stringify(incoming[field]) !== JSON.stringify(current[field]))
+      .map(([field, label]) => ({
+        field,
+        label,
+        from: show(current[field]),
+        to: show(incoming[field]),
+      }));
+  }
+}
+
+/**
+ * Configuration store for the user's settings.
+ */
+class UserConfig {
+  constructor() {
+    this.store = 'fudgeConfig';
+    this.useColors = false;
+    this.plusColor = '#008800';
+    this.minusColor = '#CC0000';
+    /** @type {string[]} Keys of the active rooms, e.g. `chat.stackexchange.com:11` */
+    this.rooms = [...UserConfig.defaultRooms];
+    this.useLadder = true;
+    this.ladder = FateLadder.defaults;
+    /** @type {Object<string, string>} Dice mode IDs, keyed by room key */
+    this.modes = {};
+    /** @type {Object<string, RoomActivation>} Activation settings, keyed by room key */
+    this.activation = {};
+    /** @type {Object<string, Partial<SerializedConfig>>} Named sets of settings, keyed by name */
+    this.presets = {};
+    this.faceStyle = FaceStyles.defaultId;
+    this.announceRolls = false;
+    /** @type {Object<string, UserRolls>} Recent and favorite rolls, keyed by user key */
+    this.savedRolls = {};
+    /** @type {Object<string, Partial<SerializedConfig>>} Settings that differ from the global ones in a room, keyed by room key */
+    this.overrides = {};
+    /** @type {Object<string, RoomInfo>} Names and last visits of rooms, keyed by room key */
+    this.roomInfo = {};
+
+    /**
+     * The onExternalChange callback, called after the config is reloaded because another tab changed it.
+     * Overwrite this to listen to changes.
+     */
+    this.onExternalChange = () => null;
+  }
+
+  /**
+   * The rooms that use fudge dice out of the box: the Fate chat room and TRPG General chat.
+   * @readonly
+   */
+  static defaultRooms = ['chat.stackexchange.com:8403', 'chat.stackexchange.com:11'];
+
+  /**
+   * The settings that can be set differently in each room. The rest are either global or already kept per room.
+   * @readonly
+   */
+  static roomSettings = ['faceStyle', 'useColors', 'plusColor', 'minusColor', 'useLadder', 'ladder', 'announceRolls'];
+
+  /**
+   * Whether the script should be active in this room according to settings.
+   * 
+   * @public
+   * @readonly
+   */
+  get isActiveHere() {
+    return this.isActiveIn(ChatUtil.roomId);
+  }
+
+  /**
+   * Check whether the script should be active in a room according to settings.
+   * 
+   * @public
+   * @param {string | null} roomId The room ID
+   * @returns {boolean} Whether the room is active
+   */
+  isActiveIn(roomId) {
+    return roomId !== null && this.rooms.includes(ChatUtil.getRoomKey(roomId));
+  }
+
+  /**
+   * Whether the script has been opted in to run on this page, by activating its room.
+   * Pages that mix rooms count as opted in if any room on this server is active.
+   * 
+   * @public
+   * @readonly
+   */
+  get isOptedInHere() {
+    if (ChatUtil.roomId !== null) {
+      return this.isActiveHere;
+    }
+    return this.rooms.some(room => room.startsWith(`${window.location.hostname}:`));
+  }
+
+  /**
+   * The dice mode chosen for this room.
+   * 
+   * @public
+   * @returns {DiceMode} The dice mode
+   */
+  get modeHere() {
+    return this.modeIn(ChatUtil.roomId);
+  }
+
+  set modeHere(mode) {
+    this.modes[ChatUtil.getRoomKey(ChatUtil.roomId)] = mode.id;
+  }
+
+  /**
+   * Get the dice mode chosen for a room.
+   * 
+   * @public
+   * @param {string | null} roomId The room ID
+   * @returns {DiceMode} The dice mode
+   */
+  modeIn(roomId) {
+    return DiceModes.get(roomId === null ? undefined : this.modes[ChatUtil.getRoomKey(roomId)]);
+  }
+
+  /**
+   * The activation settings for this room.
+   * 
+   * @public
+   * @returns {RoomActivation} The activation settings
+   */
+  get activationHere() {
+    return this.activationIn(ChatUtil.roomId);
+  }
+
+  set activationHere(activation) {
+    this.activation[ChatUtil.getRoomKey(ChatUtil.roomId)] = activation;
+  }
+
+  /**
+   * Get the activation settings for a room.
+   * 
+   * @public
+   * @param {string | null} roomId The room ID
+   * @returns {RoomActivation} The activation settings
+   */
+  activationIn(roomId) {
+    return {
+      mode: ActivationMode.All,
+      users: [],
+      selection: DiceSelection.All,
+      firstCount: 4,
+      ...(roomId === null ? {} : this.activation[ChatUtil.getRoomKey(roomId)]),
+    };
+  }
+
+  /**
+   * The config as it applies in this room, with this room's settings in place of the global ones.
+   * 
+   * @public
+   * @readonly
+   * @returns {UserConfig} A read-only view of the config
+   */
+  get settingsHere() {
+    return this.settingsIn(ChatUtil.roomId);
+  }
+
+  /**
+   * Get the config as it applies in a room, with the room's settings in place of the global ones.
+   * 
+   * The view reads through to this config for everything the room doesn't set, so it stays up to date,
+   * but it must not be changed or saved; change this config instead.
+   * 
+   * @public
+   * @param {string | null} roomId The room ID, or null for just the global settings
+   * @returns {UserConfig} A read-only view of the config
+   */
+  settingsIn(roomId) {
+    const overrides = roomId === null ? undefined : this.overrides[ChatUtil.getRoomKey(roomId)];
+    return Object.assign(Object.create(this), overrides);
+  }
+
+  /**
+   * Get the settings this room sets for itself.
+   * 
+   * @public
+   * @readonly
+   * @returns {Partial<SerializedConfig>} The room's settings
+   */
+  get overridesHere() {
+    return this.overrides[ChatUtil.getRoomKey(ChatUtil.roomId)] ?? {};
+  }
+
+  /**
+   * Change a setting from this room, either for this room only or globally.
+   * 
+   * A global change doesn't show in this room if the room sets the setting for itself.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @param {string} field The name of the setting, one of {@link UserConfig.roomSettings}
+   * @param {any} value The new value
+   * @param {boolean} forRoom Whether to change the setting for this room only
+   */
+  setSettingHere(field, value, forRoom) {
+    if (forRoom) {
+      this.overrides[ChatUtil.getRoomKey(ChatUtil.roomId)] = { ...this.overridesHere, [field]: value };
+    } else {
+      this[field] = value;
+    }
+  }
+
+  /**
+   * Go back to the global value of a setting in this room.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @param {string} field The name of the setting, one of {@link UserConfig.roomSettings}
+   */
+  resetSettingHere(field) {
+    const key = ChatUtil.getRoomKey(ChatUtil.roomId);
+    const overrides = { ...this.overridesHere };
+    delete overrides[field];
+
+    if (Object.keys(overrides).length > 0) {
+      this.overrides[key] = overrides;
+    } else {
+      delete this.overrides[key];
+    }
+  }
+
+  /**
+   * The recent and favorite rolls of the user signed in to this chat server.
+   * 
+   * @public
+   * @returns {UserRolls} The user's rolls
+   */
+  get currentUserRolls() {
+    return {
+      recent: [],
+      favorites: [],
+      ...this.savedRolls[ChatUtil.getUserKey(ChatUtil.currentUserId)],
+    };
+  }
+
+  set currentUserRolls(rolls) {
+    this.savedRolls[ChatUtil.getUserKey(ChatUtil.currentUserId)] = rolls;
+  }
+
+  /**
+   * Prime localStorage for use.
+   * 
+   * @public
+   */
+  init() {
+    if (!localStorage.getItem(this.store)) {
+      // Store defaults
+      this.save();
+    }
+
+    this.load();
+  }
+
+  /**
+   * Keep the config in sync with changes saved by other tabs.
+   * 
+   * Set `onExternalChange` to be told when the config has been reloaded.
+   * 
+   * @public
+   */
+  watch() {
+    window.addEventListener('storage', event => {
+      if (event.storageArea !== localStorage || event.key !== this.store || event.newValue === null) {
+        return;
+      }
+      this.load();
+      this.onExternalChange();
+    });
+  }
+
+  /**
+   * Save the current config.
+   * 
+   * @public
+   */
+  save() {
+    localStorage.setItem(this.store, JSON.stringify(this.serialize()));
+  }
+
+  /**
+   * Get the current config in its saved form.
+   * 
+   * @public
+   * @returns {SerializedConfig} The config
+   */
+  serialize() {
+    return {
+      'version': ConfigSchema.version,
+      'useColors': this.useColors,
+      'plusColor': this.plusColor,
+      'minusColor': this.minusColor,
+      'rooms': this.rooms,
+      'useLadder': this.useLadder,
+      'ladder': this.ladder,
+      'modes': this.modes,
+      'activation': this.activation,
+      'presets': this.presets,
+      'faceStyle': this.faceStyle,
+      'announceRolls': this.announceRolls,
+      'savedRolls': this.savedRolls,
+      'overrides': this.overrides,
+      'roomInfo': this.roomInfo
+    };
+  }
+
+  /**
+   * Apply some settings on top of the current config. Settings that are left out are kept as they are.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @param {Partial<SerializedConfig>} config The settings to apply, which must already be validated
+   */
+  apply(config) {
+    this.useColors = config.useColors ?? this.useColors;
+    this.plusColor = config.plusColor ?? this.plusColor;
+    this.minusColor = config.minusColor ?? this.minusColor;
+    this.rooms = config.rooms ?? this.rooms;
+    this.useLadder = config.useLadder ?? this.useLadder;
+    this.ladder = config.ladder ?? this.ladder;
+    this.modes = config.modes ?? this.modes;
+    this.activation = config.activation ?? this.activation;
+    this.presets = config.presets ?? this.presets;
+    this.faceStyle = config.faceStyle ?? this.faceStyle;
+    this.announceRolls = config.announceRolls ?? this.announceRolls;
+    this.savedRolls = config.savedRolls ?? this.savedRolls;
+    this.overrides = config.overrides ?? this.overrides;
+    this.roomInfo = config.roomInfo ?? this.roomInfo;
+  }
+
+  /**
+   * Load the user's config.
+   * 
+   * Older configs are migrated to the current version. If the saved config is broken,
+   * it's backed up and the broken parts are replaced with defaults, so the script keeps working.
+   * 
+   * @public
+   */
+  load() {
+    const raw = localStorage.getItem(this.store);
+
+    /** @type {Partial<SerializedConfig>} */
+    let config;
+    let needsSave = false;
+    try {
+      const parsed = ConfigSchema.parse(raw);
+      config = parsed.config;
+
+      if (parsed.invalid.length > 0) {
+        Log.error(`Some saved settings were invalid and have been reset: ${parsed.invalid.join(', ')}.`);
+      }
+      if (parsed.pruned.length > 0) {
+        Log.error(`Some saved settings had invalid entries, which have been dropped: ${parsed.pruned.join(', ')}.`);
+      }
+      const broken = parsed.invalid.length > 0 || parsed.pruned.length > 0;
+      if (broken) {
+        this.backup(raw);
+      }
+      needsSave = broken || parsed.migrated;
+    } catch (e) {
+      Log.error('The saved settings could not be read, so the defaults are being used instead.', e);
+      this.backup(raw);
+      config = {};
+      needsSave = true;
+    }
+
+    this.apply(config);
+
+    if (needsSave) {
+      // Replace the old or broken config, now that it's been backed up if needed.
+      this.save();
+    }
+  }
+
+  /**
+   * Keep a copy of a saved config before it's overwritten, so a broken config isn't lost for good.
+   * 
+   * @private
+   * @param {string} raw The raw saved config
+   */
+  backup(raw) {
+    if (raw === null) {
+      return;
+    }
+    const key = `${this.store}.backup.${Date.now()}`;
+    localStorage.setItem(key, raw);
+    Log.log(`The previous settings have been backed up to localStorage as "${key}".`);
+  }
+  
+  /**
+   * Activate the current room.
+   * 
+   * Note this doesn't actually affect the page, just the settings.
+   * 
+   * @public
+   */
+  activateRoom() {
+    this.addRoom(ChatUtil.getRoomKey(ChatUtil.roomId));
+  }
+
+  /**
+   * Deactivate the current room.
+   * 
+   * Note this doesn't actually affect the page, just the settings.
+   * 
+   * @public
+   */
+  deactivateRoom() {
+    this.removeRoom(ChatUtil.getRoomKey(ChatUtil.roomId));
+  }
+
+  /**
+   * Activate a room, which may be on any chat server.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @param {string} roomKey The room key, e.g. `chat.stackexchange.com:11`
+   */
+  addRoom(roomKey) {
+    if (!this.rooms.includes(roomKey)) {
+      this.rooms.push(roomKey);
+    }
+  }
+
+  /**
+   * Deactivate a room, which may be on any chat server.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @param {string} roomKey The room key, e.g. `chat.stackexchange.com:11`
+   */
+  removeRoom(roomKey) {
+    this.rooms = this.rooms.filter(room => room !== roomKey);
+    this.forgetInactiveRooms();
+  }
+
+  /**
+   * Go back to the rooms that use fudge dice out of the box.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   */
+  resetRooms() {
+    this.rooms = [...UserConfig.defaultRooms];
+    this.forgetInactiveRooms();
+  }
+
+  /**
+   * How long a room's last visit can be out of date before visiting it again saves the config, in milliseconds.
+   * Saving sets off a refresh in every other open chat tab, so it isn't done on every page load.
+   * @readonly
+   */
+  static visitPrecision = 60 * 60 * 1000;
+
+  /**
+   * Remember this room's name and that it was visited just now, for the room manager.
+   * Only rooms that use fudge dice are remembered.
+   * 
+   * Note this doesn't save the config.
+   * 
+   * @public
+   * @returns {boolean} Whether anything changed that's worth saving
+   */
+  recordVisit() {
+    if (!this.isActiveHere) {
+      return false;
+    }
+
+    const key = ChatUtil.getRoomKey(ChatUtil.roomId);
+    const previous = this.roomInfo[key];
+    const name = ChatUtil.roomName || previous?.name || '';
+    const now = Date.now();
+    if (previous && previous.name === name && now - previous.lastSeen < UserConfig.visitPrecision) {
+      return false;
+    }
+
+    this.roomInfo = { ...this.roomInfo, [key]: { name, lastSeen: now } };
+    return true;
+  }
+
+  /**
+   * Drop the names and visits of rooms that no longer use fudge dice.
+   * 
+   * @private
+   */
+  forgetInactiveRooms() {
+    this.roomInfo = Object.fromEntries(Object.entries(this.roomInfo).filter(([room]) => this.rooms.includes(room)));
+  }
+}
+
+/**
+ * Local storage for the rolls the script has seen, so the history survives reloads.
+ * 
+ * Rolls are kept in IndexedDB, keyed by message ID.
+ */
+class RollStore {
+  constructor() {
+    this.dbName = 'rpgse-chat-fudge-dice';
+    this.storeName = 'rolls';
+    /** @type {Promise<IDBDatabase> | null} */
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating it if needed.
+   * 
+   * @public
+   */
+  init() {
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(this.storeName, { keyPath: 'messageId' });
+        store.createIndex('roomId', 'roomId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save a roll. If the roll was already saved, its time is kept, unless only the new record knows the real time.
+   * 
+   * @public
+   * @param {RollRecord} record The roll to save
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    const db = await this.db;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const existing = store.get(record.messageId);
+      existing.onsuccess = () => {
+        // A real time from a transcript replaces one filled in when the roll was seen live, but never the other way round.
+        const previous = existing.result;
+        const keepTime = previous !== undefined && (previous.timeKnown || !record.timeKnown);
+        store.put(keepTime ? { ...record, time: previous.time, timeKnown: previous.timeKnown ?? false } : record);
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get every saved roll from a room.
+   * 
+   * @public
+   * @param {string} roomId The room ID
+   * @returns {Promise<RollRecord[]>} The rolls, oldest first
+   */
+  async getRoom(roomId) {
+    const db = await this.db;
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName).objectStore(this.storeName).index('roomId').getAll(roomId);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.time - b.time));
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Polite screen reader announcements, e.g. for new rolls in a live room.
+ */
+class Announcer {
+  constructor() {
+    /** @type {string[]} */
+    this.queued = [];
+  }
+
+  /**
+   * Create the hidden live region that announcements are read from.
+   * 
+   * @public
+   */
+  init() {
+    this.region = document.createElement('div');
+    this.region.classList.add(HtmlClass.ScreenReaderOnly);
+    this.region.setAttribute('aria-live', 'polite');
+    this.region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(this.region);
+  }
+
+  /**
+   * Announce a message to screen readers, without interrupting them.
+   * 
+   * Messages that arrive together, e.g. several rolls in one batch, are joined into one announcement, since setting
+   * the region again would replace the earlier ones before they're read.
+   * 
+   * @public
+   * @param {string} message The message to announce
+   */
+  announce(message) {
+    this.queued.push(message);
+    if (this.queued.length > 1) {
+      return;
+    }
+
+    // Clear the region first, so the same message twice in a row is still announced.
+    this.region.textContent = '';
+    setTimeout(() => {
+      this.region.textContent = this.queued.join('. ');
+      this.queued = [];
+    }, 100);
+  }
+}
+
+/**
+ * Which messages the user has switched back to their original d6, for the rest of the browser session.
+ * 
+ * The choice is kept in session storage by message ID, so it survives reloads but not closing the tab.
+ */
+class MessageViews {
+  constructor() {
+    this.storageKey = 'fudgeD6Messages';
+    /** @type {Set<string>} */
+    this.d6Messages = new Set();
+  }
+
+  /**
+   * Load the messages switched in this session.
+   * 
+   * @public
+   */
+  init() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey) ?? '[]');
+      if (Array.isArray(stored)) {
+        this.d6Messages = new Set(stored.filter(id => typeof id === 'string'));
+      }
+    } catch (e) {
+      Log.error('Failed to load the messages switched to d6. All messages will show fudge dice.', e);
+    }
+  }
+
+  /**
+   * Check whether a message has been switched to show its original d6.
+   * 
+   * @public
+   * @param {string} messageId The message ID
+   * @returns {boolean} Whether the message shows d6
+   */
+  showsD6(messageId) {
+    return this.d6Messages.has(messageId);
+  }
+
+  /**
+   * Switch a message between its original d6 and fudge dice.
+   * 
+   * @public
+   * @param {string} messageId The message ID
+   */
+  toggle(messageId) {
+    if (!this.d6Messages.delete(messageId)) {
+      this.d6Messages.add(messageId);
+    }
+
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.d6Messages)));
+    } catch (e) {
+      Log.error('Failed to save the messages switched to d6.', e);
+    }
+  }
+}
+
+/**
+ * A service that manages chat messages.
+ */
+class ChatService {
+  /**
+   * Construct a new chat service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   * @param {Announcer} announcer The screen reader announcer
+   * @param {MessageViews} messageViews The messages switched back to d6
+   */
+  constructor(userConfig, announcer, messageViews) {
+    this.userConfig = userConfig;
+    this.announcer = announcer;
+    this.messageViews = messageViews;
+
+    /**
+     * Dice waiting to be scanned, each with whether its roll should be announced as a new arrival.
+     * @private
+     * @type {Map<HTMLElement, boolean>}
+     */
+    this.pending = new Map();
+
+    /** @private */
+    this.scanScheduled = false;
+
+    /**
+     * The scanned dice in each message on the page, by message ID.
+     * This tells a re-rendered message apart from a new roll, and is cleaned up when the message goes.
+     * @private
+     * @type {Map<string, HTMLElement[]>}
+     */
+    this.messageDice = new Map();
+
+    /**
+     * The onRoll callback, called whenever a fudge roll is worked out. Overwrite this to listen to rolls.
+     * @param {RollRecord} record The roll
+     */
+    this.onRoll = () => null;
+  }
+
+  /**
+   * The most dice to scan in one go before checking whether the browser needs the time back.
+   * @readonly
+   */
+  static chunkSize = 50;
+
+  /**
+   * How long to keep scanning in one go, in milliseconds, in browsers that can't say when they're idle.
+   * @readonly
+   */
+  static fallbackIdleTime = 10;
+
+  /**
+   * Matches the text that marks a message as a fudge roll, e.g. "4dF" or "fate".
+   * @readonly
+   */
+  static markerPattern = /\b\d*dF\b|\bfate\b|\bfudge\b/i;
+
+  /**
+   * Matches dice notation in a message, e.g. "4dF" or "1d6".
+   * @readonly
+   */
+  static dicePattern = /\b(\d{0,3})d(f|\d+)\b/gi;
+
+  /**
+   * Matches the elements this script adds to messages, so that adding them isn't mistaken for an edit.
+   * @readonly
+   */
+  static ownElementSelector = `.${HtmlClass.FudgeDieFace}, .${HtmlClass.FudgeTotal}, .${HtmlClass.FudgeOutcome}, .${HtmlClass.FudgeViewToggle}, .${HtmlClass.FudgeCopyButton}`;
+
+  /**
+   * Initialise chat message handling.
+   * 
+   * @public
+   */
+  init() {
+    if (!ChatUtil.getChatElement()) {
+      Log.error('Tried to initialise ChatService, but no chat element found!');
+      throw Error('Failed to initialise ChatService');
+    }
+
+    // Mark the whole page as the root, since dice also show up outside the chat, e.g. in the starboard and reply popups.
+    document.body.classList.add(HtmlClass.FudgeRoot);
+
+    // Scan everything already on the page, a chunk at a time.
+    this.scan();
+
+    // Keep scanning whenever new messages arrive. Even pages that aren't live open reply popups.
+    this.startLiveScan();
+  }
+
+  /**
+   * Commence live scanning the page for new messages.
+   * 
+   * @private
+   */
+  startLiveScan() {
+    const observer = new MutationObserver(mutations => {
+      try {
+        this.handleMutations(mutations);
+      } catch (e) {
+        Log.error('Live scan failed to handle a change to the chat. It will carry on with the next one.', e);
+      }
+    });
+    
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+  }
+
+  /**
+   * Scan new messages, rebuild messages whose content changed, and forget messages that were removed.
+   * 
+   * @private
+   * @param {MutationRecord[]} mutations The changes to the chat
+   */
+  handleMutations(mutations) {
+    /** @type {HTMLElement[]} */
+    const added = [];
+    /** @type {Set<HTMLElement>} */
+    const changed = new Set();
+    let removed = false;
+
+    mutations.filter(mutation => !ChatService.isOwnMutation(mutation)).forEach(mutation => {
+      const target = mutation.target instanceof Element ? mutation.target : mutation.target.parentElement;
+      const message = target && ChatUtil.getMessageElement(target);
+      if (message) {
+        // Something inside a message changed, e.g. it was edited.
+        changed.add(message);
+      } else {
+        mutation.addedNodes.forEach(node => added.push(...ChatService.findUnscannedDice(node)));
+      }
+      removed ||= mutation.removedNodes.length > 0;
+    });
+
+    // A message the chat re-rendered has been seen before, so it isn't announced again.
+    const isKnown = die => {
+      const message = ChatUtil.getMessageElement(die);
+      return Boolean(message && this.messageDice.has(ChatUtil.getMessageId(message)));
+    };
+    this.enqueue(added.filter(die => !isKnown(die)), this.userConfig.settingsHere.announceRolls);
+    this.enqueue(added.filter(isKnown), false);
+
+    changed.forEach(message => this.isolateMessage(message, () => this.rebuildMessage(message)));
+
+    if (removed) {
+      this.forgetRemovedMessages();
+    }
+  }
+
+  /**
+   * Check whether a change to the chat was only this script drawing dice or totals.
+   * 
+   * @private
+   * @param {MutationRecord} mutation The change
+   * @returns {boolean} Whether the change was made by this script
+   */
+  static isOwnMutation(mutation) {
+    const target = mutation.target instanceof Element ? mutation.target : mutation.target.parentElement;
+    if (target?.closest(ChatService.ownElementSelector)) {
+      return true;
+    }
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node => node instanceof Element && node.matches(ChatService.ownElementSelector));
+  }
+
+  /**
+   * Read a message's dice again from scratch and redraw it, after its content has changed.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   */
+  rebuildMessage(message) {
+    message.querySelectorAll('.six-sided-die').forEach(die => {
+      this.pending.delete(die);
+      die.removeAttribute(HtmlAttribute.DataD6Score);
+      die.setAttribute(HtmlAttribute.DataD6Score, ChatUtil.readD6(die).toString());
+    });
+
+    this.updateMessage(message);
+    this.updateReplies(message);
+  }
+
+  /**
+   * Update the rolls that reply to a message, since they may be opposed to its roll.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   */
+  updateReplies(message) {
+    const messageId = ChatUtil.getMessageId(message);
+    if (!messageId) {
+      return;
+    }
+
+    document.querySelectorAll(`.reply-info[href$="#${messageId}"]`).forEach(link => {
+      const reply = ChatUtil.getMessageElement(link);
+      if (reply && reply !== message && reply.querySelector(`.six-sided-die[${HtmlAttribute.DataD6Score}]`)) {
+        this.isolateMessage(reply, () => this.updateMessage(reply));
+      }
+    });
+  }
+
+  /**
+   * Stop tracking messages that are no longer on the page.
+   * 
+   * @private
+   */
+  forgetRemovedMessages() {
+    this.messageDice.forEach((dice, messageId) => {
+      if (!dice.some(die => die.isConnected)) {
+        this.messageDice.delete(messageId);
+      }
+    });
+  }
+
+  /**
+   * Annotate any unconverted D6 values on the page as fudge dice.
+   * 
+   * The dice are scanned in chunks while the browser is idle, so a big transcript doesn't freeze the page.
+   * 
+   * @public
+   */
+  scan() {
+    this.enqueue(ChatService.findUnscannedDice(document.body), false);
+  }
+
+  /**
+   * Find the dice in a node that haven't been scanned yet, including the node itself.
+   * 
+   * @private
+   * @param {Node} node The node to search
+   * @returns {HTMLElement[]} The unscanned dice
+   */
+  static findUnscannedDice(node) {
+    if (!(node instanceof Element)) {
+      return [];
+    }
+
+    const selector = `.six-sided-die:not([${HtmlAttribute.DataD6Score}])`;
+    const dice = Array.from(node.querySelectorAll(selector));
+    if (node.matches(selector)) {
+      dice.unshift(node);
+    }
+    return dice;
+  }
+
+  /**
+   * Queue dice to be scanned when the browser is next idle.
+   * 
+   * @private
+   * @param {HTMLElement[]} dice The dice to scan
+   * @param {boolean} announce Whether to announce their rolls as new arrivals
+   */
+  enqueue(dice, announce) {
+    if (dice.length === 0) {
+      return;
+    }
+
+    dice.forEach(die => this.pending.set(die, announce));
+
+    if (!this.scanScheduled) {
+      this.scanScheduled = true;
+      ChatService.whenIdle(deadline => this.processPending(deadline));
+    }
+  }
+
+  /**
+   * Scan queued dice a chunk at a time until the idle period runs out, then pick up where it left off next time.
+   * 
+   * @private
+   * @param {IdleDeadline} deadline The idle period
+   */
+  processPending(deadline) {
+    this.scanScheduled = false;
+
+    do {
+      /** @type {[HTMLElement, boolean][]} */
+      const chunk = [];
+      for (const entry of this.pending) {
+        chunk.push(entry);
+        if (chunk.length >= ChatService.chunkSize) {
+          break;
+        }
+      }
+      chunk.forEach(([die]) => this.pending.delete(die));
+      this.scanDice(chunk);
+    } while (this.pending.size > 0 && deadline.timeRemaining() > 0);
+
+    if (this.pending.size > 0) {
+      this.scanScheduled = true;
+      ChatService.whenIdle(next => this.processPending(next));
+    }
+  }
+
+  /**
+   * Run a callback when the browser is idle, or soon if it doesn't support idle callbacks.
+   * 
+   * @private
+   * @param {(deadline: IdleDeadline) => void} callback The callback
+   */
+  static whenIdle(callback) {
+    if ('requestIdleCallback' in window) {
+      window.requestIdleCallback(callback, { timeout: 500 });
+    } else {
+      setTimeout(() => {
+        const start = performance.now();
+        callback({ didTimeout: true, timeRemaining: () => Math.max(0, ChatService.fallbackIdleTime - (performance.now() - start)) });
+      }, 1);
+    }
+  }
+
+  /**
+   * Read the scores of some dice, then convert them and total up their messages.
+   * 
+   * All the unscanned dice in a message are scanned together, so a message is never left half done.
+   * 
+   * @private
+   * @param {[HTMLElement, boolean][]} entries The dice, each with whether to announce its roll
+   */
+  scanDice(entries) {
+    /** @type {HTMLElement[]} */
+    const dice = [];
+    /** @type {Set<HTMLElement>} */
+    const announced = new Set();
+
+    entries.forEach(([die, announce]) => {
+      if (!die.isConnected) {
+        return;
+      }
+
+      const message = ChatUtil.getMessageElement(die);
+      const group = message ? ChatService.findUnscannedDice(message) : [die];
+      group.forEach(groupDie => {
+        if (groupDie.hasAttribute(HtmlAttribute.DataD6Score)) {
+          return;
+        }
+        groupDie.setAttribute(HtmlAttribute.DataD6Score, ChatUtil.readD6(groupDie).toString());
+        this.pending.delete(groupDie);
+        dice.push(groupDie);
+      });
+
+      if (message && announce) {
+        announced.add(message);
+      }
+    });
+
+    // A reply can render before the message it replies to, so it's worked out again once its parent has a roll.
+    this.updateDice(dice).forEach(message => this.updateReplies(message));
+
+    if (ChatUtil.isLive) {
+      announced.forEach(message => {
+        const label = message.querySelector(`.${HtmlClass.FudgeTotal}`)?.getAttribute('aria-label');
+        if (label) {
+          this.announcer.announce(label);
+        }
+      });
+    }
+  }
+
+  /**
+   * Redraw every die and total that has already been scanned, e.g. after the settings change.
+   * 
+   * @public
+   */
+  refresh() {
+    this.updateDice(Array.from(document.querySelectorAll(`.six-sided-die[${HtmlAttribute.DataD6Score}]`)));
+  }
+
+  /**
+   * Convert or unconvert scanned dice, and update the totals of the messages they're in.
+   * 
+   * @private
+   * @param {HTMLElement[]} dice The scanned dice
+   * @returns {Set<HTMLElement>} The messages that were updated
+   */
+  updateDice(dice) {
+    /** @type {Set<HTMLElement>} */
+    const messages = new Set();
+
+    dice.forEach(die => {
+      const message = ChatUtil.getMessageElement(die);
+      const roomId = ChatUtil.getRoomId(die);
+      if (message) {
+        messages.add(message);
+      } else if (this.userConfig.isActiveIn(roomId) && this.userConfig.activationIn(roomId).mode === ActivationMode.All) {
+        // Dice outside of a message can't be checked for markers, so they're only converted when converting everything.
+        this.drawDie(die, roomId);
+      } else {
+        this.clearDie(die);
+      }
+    });
+
+    messages.forEach(message => this.isolateMessage(message, () => this.updateMessage(message)));
+    return messages;
+  }
+
+  /**
+   * Do some work on a message, logging rather than throwing any error so that one odd message doesn't stop the rest.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @param {() => void} work The work to do
+   */
+  isolateMessage(message, work) {
+    try {
+      work();
+    } catch (e) {
+      Log.error(`Failed to update message ${ChatUtil.getMessageId(message) || '(no ID)'}. It has been skipped.`, e);
+    }
+  }
+
+  /**
+   * Convert or unconvert the dice in a message, depending on whether it's a fudge roll, and update its total.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   */
+  updateMessage(message) {
+    const roomId = ChatUtil.getRoomId(message);
+    const dice = Array.from(message.querySelectorAll(`.six-sided-die[${HtmlAttribute.DataD6Score}]`));
+    const picked = this.pickMessageDice(message, dice.length);
+
+    const messageId = ChatUtil.getMessageId(message);
+    const showsD6 = messageId !== '' && this.messageViews.showsD6(messageId);
+
+    dice.forEach((die, i) => {
+      if (picked[i] && !showsD6) {
+        this.drawDie(die, roomId);
+      } else {
+        this.clearDie(die);
+      }
+    });
+
+    this.updateTotal(message, roomId);
+    this.updateControls(message, messageId, dice.filter((die, i) => picked[i]), showsD6);
+
+    if (!messageId) {
+      return;
+    }
+    if (dice.length > 0) {
+      this.messageDice.set(messageId, dice);
+    } else {
+      this.messageDice.delete(messageId);
+    }
+  }
+
+  /**
+   * Show small buttons after a fudge roll: one to copy the roll, and one to switch the message between its original d6 and fudge dice.
+   * 
+   * Messages without an ID, like starboard entries, can't remember which dice they show, so they go without the switch.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @param {string} messageId The message ID
+   * @param {HTMLElement[]} fudgeDice The dice in the message that are fudge dice
+   * @param {boolean} showsD6 Whether the message is switched to show d6
+   */
+  updateControls(message, messageId, fudgeDice, showsD6) {
+    message.querySelectorAll(`.${HtmlClass.FudgeViewToggle}, .${HtmlClass.FudgeCopyButton}`).forEach(control => control.remove());
+    if (fudgeDice.length === 0) {
+      return;
+    }
+
+    /** @type {HTMLButtonElement[]} */
+    const controls = [];
+
+    if (!showsD6) {
+      // Clicks are handled by the roll copy service, which owns the menu of formats.
+      const copyButton = document.createElement('button');
+      copyButton.type = 'button';
+      copyButton.classList.add(HtmlClass.FudgeCopyButton);
+      copyButton.textContent = 'copy';
+      copyButton.title = 'Copy this roll as text';
+      copyButton.setAttribute('aria-haspopup', 'true');
+      copyButton.setAttribute('aria-expanded', 'false');
+      controls.push(copyButton);
+    }
+
+    if (messageId) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.classList.add(HtmlClass.FudgeViewToggle);
+      toggle.textContent = showsD6 ? 'dF' : 'd6';
+      toggle.title = showsD6 ? 'Show this roll as fudge dice' : 'Show this roll as the original d6';
+      toggle.setAttribute('aria-label', 'Show original d6');
+      toggle.setAttribute('aria-pressed', showsD6.toString());
+      toggle.addEventListener('click', () => {
+        this.messageViews.toggle(messageId);
+        this.isolateMessage(message, () => this.updateMessage(message));
+        message.querySelector(`.${HtmlClass.FudgeViewToggle}`)?.focus();
+      });
+      controls.push(toggle);
+    }
+
+    const last = message.querySelector(`.${HtmlClass.FudgeOutcome}`) ?? message.querySelector(`.${HtmlClass.FudgeTotal}`) ?? fudgeDice[fudgeDice.length - 1];
+    last.after(...controls);
+  }
+
+  /**
+   * Pick out which of the dice in a message are fudge dice, according to its room's activation settings.
+   * 
+   * A message that isn't a fudge roll, or is in a room that's not active, has no fudge dice.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @param {number} count The number of dice in the message
+   * @returns {boolean[]} Whether each die is a fudge die, in order
+   */
+  pickMessageDice(message, count) {
+    const roomId = ChatUtil.getRoomId(message);
+    const activation = this.userConfig.activationIn(roomId);
+    return this.userConfig.isActiveIn(roomId) && this.isFudgeMessage(message, activation)
+      ? this.pickFudgeDice(count, message, activation)
+      : Array.from({ length: count }, () => false);
+  }
+
+  /**
+   * Pick out which of the dice in a fudge roll message are fudge dice, according to the room's activation settings.
+   * 
+   * @private
+   * @param {number} count The number of dice in the message
+   * @param {HTMLElement} message The chat message element
+   * @param {RoomActivation} activation The activation settings of the message's room
+   * @returns {boolean[]} Whether each die is a fudge die, in order
+   */
+  pickFudgeDice(count, message, activation) {
+    switch (activation.selection) {
+      case DiceSelection.First:
+        return Array.from({ length: count }, (_, i) => i < activation.firstCount);
+      case DiceSelection.Text:
+        return ChatService.pickNamedFudgeDice(count, ChatUtil.getMessageText(message));
+      default:
+        return Array.from({ length: count }, () => true);
+    }
+  }
+
+  /**
+   * Pick out the fudge dice by the dice the message text names, in order.
+   * 
+   * For example, "4dF + 1d6 damage" makes the first four dice fudge dice, and the fifth a d6.
+   * If the text doesn't name any fudge dice, they're all treated as fudge dice.
+   * 
+   * @private
+   * @param {number} count The number of dice in the message
+   * @param {string} text The message text
+   * @returns {boolean[]} Whether each die is a fudge die, in order
+   */
+  static pickNamedFudgeDice(count, text) {
+    const expressions = Array.from(text.matchAll(ChatService.dicePattern));
+    if (!expressions.some(expression => expression[2].toLowerCase() === 'f')) {
+      return Array.from({ length: count }, () => true);
+    }
+
+    /** @type {boolean[]} */
+    const named = [];
+    for (const expression of expressions) {
+      const isFudge = expression[2].toLowerCase() === 'f';
+      const dice = Number(expression[1] || 1);
+      // Only the first `count` are ever read, so stop there rather than trusting the number in the text.
+      for (let i = 0; i < dice && named.length < count; i++) {
+        named.push(isFudge);
+      }
+      if (named.length >= count) {
+        break;
+      }
+    }
+
+    return Array.from({ length: count }, (_, i) => named[i] ?? false);
+  }
+
+  /**
+   * Check whether the dice in a message should be converted, according to the room's activation settings.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @param {RoomActivation} activation The activation settings of the message's room
+   * @returns {boolean} Whether to convert the message's dice
+   */
+  isFudgeMessage(message, activation) {
+    if (activation.mode === ActivationMode.All) {
+      return true;
+    }
+
+    if (ChatService.markerPattern.test(ChatUtil.getMessageText(message))) {
+      return true;
+    }
+
+    const { userId, userName } = ChatUtil.getMessageInfo(message);
+    return activation.users.some(user => user === userId || user.toLowerCase() === userName.toLowerCase());
+  }
+
+  /**
+   * Draw a die's face according to the dice mode and settings of its room.
+   * 
+   * Any previous face is replaced, so this is safe to call again when the mode changes.
+   * 
+   * @private
+   * @param {HTMLElement} die The die element, which must already have its d6 score
+   * @param {string | null} roomId The room the die was rolled in
+   */
+  drawDie(die, roomId) {
+    const mode = this.userConfig.modeIn(roomId);
+    const d6score = Number(die.getAttribute(HtmlAttribute.DataD6Score));
+
+    die.classList.add(HtmlClass.FudgeDie);
+    die.setAttribute('role', 'img');
+    die.setAttribute('aria-label', mode.label(d6score));
+    die.setAttribute(HtmlAttribute.DataFudgeScore, mode.score(d6score).toString());
+    die.setAttribute(HtmlAttribute.DataFudgeTone, mode.tone(d6score).toString());
+    die.querySelectorAll(`.${HtmlClass.FudgeDieFace}`).forEach(face => face.remove());
+
+    const symbol = document.createElement('span');
+    symbol.classList.add(HtmlClass.FudgeDieFaceSymbol);
+    symbol.innerHTML = mode.display(d6score, this.userConfig.settingsIn(roomId));
+
+    const face = document.createElement('div');
+    face.classList.add(HtmlClass.FudgeDieFace);
+    face.append(symbol);
+
+    die.appendChild(face);
+  }
+
+  /**
+   * Put a die back to its original d6 pips.
+   * 
+   * @private
+   * @param {HTMLElement} die The die element
+   */
+  clearDie(die) {
+    die.classList.remove(HtmlClass.FudgeDie);
+    die.removeAttribute('role');
+    die.removeAttribute('aria-label');
+    die.removeAttribute(HtmlAttribute.DataFudgeScore);
+    die.removeAttribute(HtmlAttribute.DataFudgeTone);
+    die.querySelectorAll(`.${HtmlClass.FudgeDieFace}`).forEach(face => face.remove());
+  }
+
+  /**
+   * Work out the result of all the dice in a message, and show it after the last die.
+   * 
+   * Any previous total is replaced, so this is safe to call again when the message is re-rendered.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @param {string | null} roomId The room the message was posted in
+   */
+  updateTotal(message, roomId) {
+    message.querySelectorAll(`.${HtmlClass.FudgeTotal}, .${HtmlClass.FudgeOutcome}`).forEach(badge => badge.remove());
+
+    const dice = Array.from(message.querySelectorAll(`.${HtmlClass.FudgeDie}`));
+    if (dice.length === 0) {
+      message.removeAttribute(HtmlAttribute.DataFudgeMode);
+      message.removeAttribute(HtmlAttribute.DataFudgeTotal);
+      message.removeAttribute(HtmlAttribute.DataFudgeResult);
+      return;
+    }
+
+    const mode = this.userConfig.modeIn(roomId);
+    const settings = this.userConfig.settingsIn(roomId);
+    const d6s = dice.map(die => Number(die.getAttribute(HtmlAttribute.DataD6Score)));
+    const result = mode.result(d6s, {
+      text: ChatUtil.getMessageText(message),
+      userConfig: settings,
+      opposing: ChatService.findOpposingRoll(message, mode),
+    });
+
+    const badge = document.createElement('span');
+    badge.classList.add(HtmlClass.FudgeTotal);
+    badge.setAttribute(HtmlAttribute.DataFudgeTone, result.tone.toString());
+    badge.textContent = result.label;
+    // Like the dice, the badge is an image to screen readers, since they ignore labels on plain spans.
+    badge.setAttribute('role', 'img');
+    badge.setAttribute('aria-label', mode.describeGroup(d6s, result, settings));
+
+    dice[dice.length - 1].after(badge);
+
+    if (result.outcome) {
+      // The badge's label already reads the outcome out, so it's hidden from screen readers here.
+      const outcome = document.createElement('span');
+      outcome.classList.add(HtmlClass.FudgeOutcome);
+      outcome.setAttribute(HtmlAttribute.DataFudgeTone, result.outcome.tone.toString());
+      outcome.setAttribute('aria-hidden', 'true');
+      outcome.textContent = result.outcome.label;
+      badge.after(outcome);
+    }
+
+    message.setAttribute(HtmlAttribute.DataFudgeMode, mode.id);
+    message.setAttribute(HtmlAttribute.DataFudgeTotal, result.total.toString());
+    if (result.result !== undefined) {
+      message.setAttribute(HtmlAttribute.DataFudgeResult, result.result.toString());
+    } else {
+      message.removeAttribute(HtmlAttribute.DataFudgeResult);
+    }
+
+    if (mode instanceof FudgeMode && this.userConfig.isActiveIn(roomId)) {
+      this.invokeRollCallback(message, roomId, d6s, result);
+    }
+  }
+
+  /**
+   * Find the roll that a message's roll is opposed to: another user's roll in the same mode, which the message replies to.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @param {DiceMode} mode The dice mode of the message's room
+   * @returns {OpposingRoll | undefined} The opposing roll, if there is one on the page
+   */
+  static findOpposingRoll(message, mode) {
+    const parentId = ChatUtil.getReplyParentId(message);
+    const parent = parentId ? document.getElementById(`message-${parentId}`) : null;
+    if (!parent || parent === message || parent.getAttribute(HtmlAttribute.DataFudgeMode) !== mode.id) {
+      return undefined;
+    }
+
+    const parentInfo = ChatUtil.getMessageInfo(parent);
+    const info = ChatUtil.getMessageInfo(message);
+    if (parentInfo.userId && parentInfo.userId === info.userId) {
+      return undefined;
+    }
+
+    const value = parent.getAttribute(HtmlAttribute.DataFudgeResult) ?? parent.getAttribute(HtmlAttribute.DataFudgeTotal);
+    return { value: Number(value), userName: parentInfo.userName || 'the other roll' };
+  }
+
+  /**
+   * Alert listeners to a fudge roll.
+   * 
+   * @private
+   * @param {HTMLElement} message The chat message element
+   * @param {string} roomId The room the message was posted in
+   * @param {number[]} d6s The d6 scores in the roll
+   * @param {GroupResult} result The result of the roll
+   */
+  invokeRollCallback(message, roomId, d6s, result) {
+    const info = ChatUtil.getMessageInfo(message);
+    if (!info.messageId) {
+      return;
+    }
+
+    /** @type {RollRecord} */
+    const record = {
+      ...info,
+      roomId,
+      time: info.time ?? Date.now(),
+      timeKnown: info.time !== null,
+      d6s,
+      faces: d6s.map(d6 => FudgeUtil.d6toFudge(d6)),
+      total: result.total,
+      text: ChatUtil.getMessageText(message),
+    };
+    if (result.result !== undefined) {
+      record.result = result.result;
+    }
+
+    this.onRoll(record);
+  }
+}
+
+/**
+ * Utilities for moving data in and out of the page: downloads, uploads, and the clipboard.
+ * @abstract
+ */
+class FileUtil {
+  /**
+   * Download some content as a file.
+   * 
+   * @public
+   * @param {string} fileName The name of the file
+   * @param {string} type The MIME type of the file
+   * @param {string} content The content of the file
+   */
+  static download(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Read a file the user picked as text.
+   * 
+   * @public
+   * @param {File} file The file to read
+   * @returns {Promise<string>} The content of the file
+   */
+  static readText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Copy some text to the clipboard.
+   * 
+   * @public
+   * @param {string} text The text to copy
+   * @returns {Promise<void>}
+   */
+  static copy(text) {
+    return navigator.clipboard.writeText(text);
+  }
+}
+
+/**
+ * A service that exports the rolls on a transcript or conversation page.
+ */
+class ExportService {
+  /**
+   * Create a new export service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   * @param {ChatService} chatService The chat service, which picks out the fudge dice in each message
+   */
+  constructor(userConfig, chatService) {
+    this.userConfig = userConfig;
+    this.chatService = chatService;
+  }
+
+  /**
+   * Whether exporting makes sense on this page.
+   * 
+   * Live rooms only hold the latest messages, so exports are only offered on transcripts and conversations.
+   * 
+   * @public
+   * @readonly
+   */
+  get isAvailable() {
+    return ChatUtil.inTranscript || ChatUtil.inConversation;
+  }
+
+  /**
+   * Gather every roll on the page, whether or not it's been converted or scrolled into view.
+   * 
+   * Only the dice the page would show as fudge dice are counted, so d6 rolled alongside them, and rolls that aren't converted, are left out.
+   * 
+   * @public
+   * @returns {RollRecord[]} The rolls, in page order
+   */
+  collectRolls() {
+    const fudge = new FudgeMode();
+
+    return Array.from(document.querySelectorAll('.message'))
+      .map(message => {
+        const dice = Array.from(message.querySelectorAll('.six-sided-die'));
+        const picked = this.chatService.pickMessageDice(message, dice.length);
+        return { message, d6s: dice.filter((die, i) => picked[i]).map(die => ChatUtil.readD6(die)) };
+      })
+      .filter(({ d6s }) => d6s.length > 0)
+      .map(({ message, d6s }) => {
+        const text = ChatUtil.getMessageText(message);
+        const result = fudge.result(d6s, { text, userConfig: this.userConfig.settingsHere });
+
+        /** @type {RollRecord} */
+        const record = {
+          ...ChatUtil.getMessageInfo(message),
+          roomId: ChatUtil.roomId,
+          d6s,
+          faces: d6s.map(d6 => FudgeUtil.d6toFudge(d6)),
+          total: result.total,
+          text,
+        };
+        if (result.result !== undefined) {
+          record.result = result.result;
+        }
+        return record;
+      });
+  }
+
+  /**
+   * Download the rolls on the page as CSV.
+   * 
+   * @public
+   */
+  exportCsv() {
+    const header = ['messageId', 'userId', 'userName', 'time', 'd6s', 'faces', 'total', 'result', 'text'];
+    const rows = this.collectRolls().map(record => [
+      record.messageId,
+      record.userId,
+      ExportService.neutralizeFormula(record.userName),
+      record.time === null ? '' : new Date(record.time).toISOString(),
+      record.d6s.join(' '),
+      record.faces.join(' '),
+      record.total,
+      record.result ?? '',
+      ExportService.neutralizeFormula(record.text),
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(cell => ExportService.csvCell(cell)).join(',')).join('\r\n');
+    FileUtil.download(`${this.fileName}.csv`, 'text/csv', csv);
+  }
+
+  /**
+   * Download the rolls on the page as JSON.
+   * 
+   * @public
+   */
+  exportJson() {
+    const rolls = this.collectRolls().map(record => ({
+      ...record,
+      time: record.time === null ? null : new Date(record.time).toISOString(),
+    }));
+    FileUtil.download(`${this.fileName}.json`, 'application/json', JSON.stringify(rolls, null, 2));
+  }
+
+  /**
+   * The name for exported files, without an extension, e.g. `fudge-rolls-11-2023-01-05`.
+   * 
+   * @private
+   * @readonly
+   */
+  get fileName() {
+    const date = ChatUtil.transcriptDate;
+    if (!date) {
+      return `fudge-rolls-${ChatUtil.roomId}`;
+    }
+    const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => part.toString().padStart(2, '0')).join('-');
+    return `fudge-rolls-${ChatUtil.roomId}-${day}`;
+  }
+
+  /**
+   * Prefix text that spreadsheets would run as a formula, e.g. a message starting with "=", with an apostrophe.
+   * 
+   * Only text written by people in chat, like messages and user names, needs this. The script's own cells, like the
+   * faces "-1 0 1 1", are left as they are.
+   * 
+   * @private
+   * @param {string} text The text
+   * @returns {string} The text, safe to open in a spreadsheet
+   */
+  static neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * Quote a value for a CSV cell, if it needs it.
+   * 
+   * @private
+   * @param {string | number} value The value of the cell
+   * @returns {string} The CSV cell
+   */
+  static csvCell(value) {
+    const text = value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+/**
+ * A service that handles the CSS embedded on the page.
+ */
+class CssService {
+  /**
+   * Construct a new CSS manager
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+  }
+
+  /**
+   * Create the on-page CSS.
+   * 
+   * @public
+   */
+  init() {
+    this.css = document.createElement('style');
+    this.css.id = 'rpgse-chat-fudge-dice-css';
+    this.css.innerHTML = this.getCssContent();
+    document.head.appendChild(this.css);
+  }
+
+  /**
+   * Update the CSS and on-page configuration.
+   * 
+   * @public
+   */
+  update() {
+    this.css.innerHTML = this.getCssContent();
+    
+    // Pages that mix rooms are left on, and ChatService only converts the messages from active rooms.
+    const root = document.querySelector(`.${HtmlClass.FudgeRoot}`);
+    this.setClass(root, HtmlClass.FudgeOn, ChatUtil.roomId === null || this.userConfig.isActiveHere);
+    this.setClass(root, HtmlClass.FudgeColorsOn, this.userConfig.settingsHere.useColors);
+  }
+
+  /**
+   * Sets a class to present/hidden 
+   * 
+   * @private
+   * @param {HTMLElement} element the element to set the class on
+   * @param {string} className The class name to add/remove
+   * @param {boolean} condition Whether the class should be present
+   */
+  setClass(element, className, condition) {
+    if (condition) {
+      element.classList.add(className);
+    } else {
+      element.classList.remove(className);
+    }
+  }
+
+  /**
+   * Get the CSS for this userscript
+   * 
+   * @private
+   * @returns {string} A CSS file
+   */
+  getCssContent() {
+    const root = `.${HtmlClass.FudgeRoot}`;
+    const fudgeOn = `.${HtmlClass.FudgeOn}`;
+    const colorsOn = `.${HtmlClass.FudgeColorsOn}`;
+    const fudgeDie = `.${HtmlClass.FudgeDie}`;
+    const fudgeDieFace = `.${HtmlClass.FudgeDieFace}`;
+    const fudgeDieFaceSymbol = `.${HtmlClass.FudgeDieFaceSymbol}`;
+    const fudgeTotal = `.${HtmlClass.FudgeTotal}`;
+    const fudgeOutcome = `.${HtmlClass.FudgeOutcome}`;
+    const fudgeViewToggle = `.${HtmlClass.FudgeViewToggle}`;
+    const fudgeCopyButton = `.${HtmlClass.FudgeCopyButton}`;
+    // The colors are set for the whole page, so pages that mix rooms use the global colors.
+    const settings = this.userConfig.settingsHere;
+
+    return `
+      ${root}:not(${fudgeOn}) ${fudgeDieFace},
+      ${root}:not(${fudgeOn}) ${fudgeTotal},
+      ${root}:not(${fudgeOn}) ${fudgeOutcome},
+      ${root}:not(${fudgeOn}) ${fudgeViewToggle},
+      ${root}:not(${fudgeOn}) ${fudgeCopyButton} {
+        display: none;
+      }
+
+      ${root}${fudgeOn} ${fudgeDie} .dot {
+        display: none;
+      }
+
+      ${root}${fudgeOn} ${fudgeDie},
+      ${fudgeDieFace} {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      ${fudgeDieFace} {
+        cursor: help;
+        font-size: 30px;
+        font-weight: bold;
+        min-width: 30px;
+        min-height: 30px;
+      }
+
+      ${fudgeDieFaceSymbol} {
+        display: inline-block;
+      }
+
+      ${fudgeTotal} {
+        display: inline-block;
+        font-size: 20px;
+        font-weight: bold;
+        margin-left: 0.5em;
+        vertical-align: middle;
+        white-space: nowrap;
+      }
+
+      ${fudgeTotal} {
+        cursor: help;
+      }
+
+      ${fudgeOutcome} {
+        display: inline-block;
+        font-weight: bold;
+        margin-left: 0.5em;
+        vertical-align: middle;
+        white-space: nowrap;
+      }
+
+      ${fudgeViewToggle},
+      ${fudgeCopyButton} {
+        margin-left: 0.5em;
+        padding: 0 4px;
+        border: 1px solid currentColor;
+        border-radius: 3px;
+        background: none;
+        color: inherit;
+        font-size: 11px;
+        line-height: 16px;
+        vertical-align: middle;
+        cursor: pointer;
+        opacity: 0.6;
+      }
+
+      ${fudgeViewToggle}:hover,
+      ${fudgeViewToggle}:focus,
+      ${fudgeCopyButton}:hover,
+      ${fudgeCopyButton}:focus {
+        opacity: 1;
+      }
+
+      .fudge-popover {
+        position: absolute;
+        z-index: 20;
+        max-width: 28em;
+        padding: 6px 8px;
+        border: 1px solid #E0DCBF;
+        background-color: rgb(250, 250, 250);
+        color: #444444;
+        font-size: 12px;
+        line-height: 1.5;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.15);
+        pointer-events: none;
+      }
+
+      .fudge-popover[hidden] {
+        display: none;
+      }
+
+      .fudge-copy-menu {
+        position: absolute;
+        z-index: 20;
+        max-width: 24em;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.15);
+      }
+
+      .fudge-copy-menu textarea {
+        width: 100%;
+      }
+
+      ${root}${fudgeOn} ${fudgeDie}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Minus}'],
+      ${root}${fudgeOn} ${fudgeTotal}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Minus}'],
+      ${root}${fudgeOn} ${fudgeOutcome}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Minus}'] {
+        color: var(${CssAttribute.FudgeDiceMinusColor});
+      }
+
+      ${root}${fudgeOn} ${fudgeDie}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Plus}'],
+      ${root}${fudgeOn} ${fudgeTotal}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Plus}'],
+      ${root}${fudgeOn} ${fudgeOutcome}[${HtmlAttribute.DataFudgeTone}='${FudgeScore.Plus}'] {
+        color: var(${CssAttribute.FudgeDicePlusColor});
+      }
+
+      ${DiceModes.all.map(mode => mode.getCss(`${root}${fudgeOn} [${HtmlAttribute.DataFudgeMode}='${mode.id}']`)).join('')}
+
+      ${FaceStyles.all.map(style => style.getCss(`${root}${fudgeOn}`)).join('')}
+
+      ${root}${fudgeOn} {
+        ${CssAttribute.FudgeDicePlusColor}: inherit;
+        ${CssAttribute.FudgeDiceMinusColor}: inherit;
+      }
+
+      ${root}${fudgeOn}${colorsOn} {
+        ${CssAttribute.FudgeDicePlusColor}: ${settings.plusColor};
+        ${CssAttribute.FudgeDiceMinusColor}: ${settings.minusColor};
+      }
+
+      .fudge-menu-button {
+        cursor: pointer;
+        user-select: none;
+        background: none;
+        border: 0;
+        padding: 0;
+        color: inherit;
+        font: inherit;
+      }
+
+      .fudge-menu-button:focus-visible,
+      .fudge-menu :focus-visible {
+        outline: 2px solid #0077CC;
+        outline-offset: 1px;
+      }
+
+      .${HtmlClass.ScreenReaderOnly} {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+      }
+
+      .fudge-menu {
+        border: 1px solid #E0DCBF;
+        background-color: rgb(250, 250, 250);
+        padding: 10px;
+        color: #444444;
+        margin-bottom: 1em;
+      }
+
+      .fudge-menu * {
+        box-sizing: border-box;
+      }
+
+      .fudge-menu:not(.fudge-menu--open) {
+        display: none;
+      }
+
+      .fudge-menu h3 {
+        margin-bottom: 0.5em;
+      }
+
+      .fudge-menu .fudge-menu-options {
+        display: flex;
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 8px;
+      }
+
+      .fudge-menu .fudge-override {
+        margin-top: 2px;
+        font-size: 11px;
+        font-style: italic;
+      }
+
+      .fudge-menu .fudge-override[hidden] {
+        display: none;
+      }
+
+      .fudge-menu input[type='color'] {
+        background: none;
+        border: 0;
+        cursor: pointer;
+        margin: 0;
+        padding: 0;
+        width: 20px;
+        height: 20px;
+      }
+
+      .fudge-menu input[type='text'] {
+        height: 20px;
+      }
+
+      .fudge-menu label {
+        display: flex;
+        flex-direction: row;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .fudge-menu .color-picker input[type='text'] {
+        width: 7em;
+      }
+
+      .fudge-menu .toggler {
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .fudge-menu input[type='number'] {
+        width: 4em;
+      }
+
+      .fudge-menu details summary {
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .fudge-menu .ladder-editor-rungs {
+        display: grid;
+        grid-template-columns: auto auto;
+        align-items: center;
+        gap: 4px 8px;
+        margin: 8px 0;
+      }
+
+      .fudge-menu .ladder-editor-rungs input[type='text'] {
+        width: 10em;
+      }
+
+      .fudge-menu .settings-sharing h4 {
+        margin: 0.75em 0 0.25em;
+      }
+
+      .fudge-menu .settings-sharing textarea {
+        display: block;
+        width: 100%;
+        margin-bottom: 4px;
+      }
+
+      .fudge-menu .settings-sharing ul,
+      .fudge-menu .room-manager ul {
+        margin: 0.25em 0;
+        padding-left: 1.25em;
+      }
+
+      .fudge-menu .settings-sharing-preview li {
+        word-break: break-all;
+      }
+
+      .fudge-menu > button {
+        margin-top: 8px;
+      }
+
+      .fudge-composer-anchor {
+        position: relative;
+        display: inline-block;
+      }
+
+      .fudge-composer-button {
+        cursor: pointer;
+      }
+
+      .fudge-composer-anchor .fudge-composer {
+        position: absolute;
+        bottom: calc(100% + 4px);
+        left: 0;
+        z-index: 10;
+        width: 24em;
+        margin-bottom: 0;
+      }
+
+      .fudge-composer h4 {
+        margin: 0.75em 0 0.25em;
+      }
+
+      .fudge-composer .fudge-composer-rolls {
+        margin: 0;
+        padding-left: 1.25em;
+      }
+
+      .fudge-composer .fudge-composer-roll {
+        text-align: left;
+      }
+
+      .fudge-history p {
+        margin: 0.5em 0;
+      }
+
+      .fudge-history h4 {
+        margin: 1em 0 0.5em;
+      }
+
+      .fudge-history-verdict {
+        font-weight: bold;
+      }
+
+      .fudge-history-chart {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        align-items: center;
+        gap: 2px 8px;
+      }
+
+      .fudge-history-track {
+        position: relative;
+        height: 12px;
+        background-color: #EEEEEE;
+      }
+
+      .fudge-history-bar {
+        display: block;
+        height: 100%;
+        background-color: #888888;
+      }
+
+      .fudge-history-expected {
+        position: absolute;
+        top: -2px;
+        bottom: -2px;
+        width: 2px;
+        background-color: #CC0000;
+      }
+
+      .fudge-history-table {
+        display: block;
+        max-height: 300px;
+        overflow-y: auto;
+        margin-top: 8px;
+        font-size: 11px;
+      }
+
+      .fudge-history-table th,
+      .fudge-history-table td {
+        padding: 2px 4px;
+        text-align: left;
+        white-space: nowrap;
+      }
+    `;
+  }
+}
+
+/**
+ * Utilities for building form controls.
+ * @abstract
+ */
+class FormUtil {
+  /**
+   * Create a plain button.
+   * 
+   * @public
+   * @param {string} text The button text
+   * @param {() => void} onClick The click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  static createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.innerText = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+/**
+ * A generic form component.
+ * 
+ * @abstract
+*/
+class FormComponent {
+  constructor() {
+    /** @type {HTMLElement} */
+    this.element = document.createElement('label');
+
+    /**
+     * The onChange callback. Overwrite this to listen to changes.
+     * @param {boolean} value The new value
+     */
+    this.onChange = () => null;
+
+    /** @private */
+    this.silent = false;
+  }
+
+  /**
+   * Alert listeners to a change.
+   * 
+   * @protected
+   */
+  invokeChangeCallback() {
+    if (this.silent) {
+      return;
+    }
+    this.onChange(this.value);
+  }
+
+  /**
+   * Set the value without alerting listeners, e.g. when the setting was already changed elsewhere.
+   * 
+   * @public
+   * @param {any} newValue The new value
+   */
+  setValueSilently(newValue) {
+    this.silent = true;
+    try {
+      this.value = newValue;
+    } finally {
+      this.silent = false;
+    }
+  }
+}
+
+/**
+ * A color picker for setting fudge dice colors.
+ */
+class ColorPickerComponent extends FormComponent {
+  /**
+   * Get or set the value of this color picker.
+   * 
+   * @public
+   * @returns {string} The color value
+   */
+  get value() {
+    return this.text.value;
+  }
+
+  set value(newValue) {
+    let updated = false;
+    if (this.picker.value !== newValue) {
+      this.picker.value = newValue;
+      updated = true;
+    }
+    if (this.text.value !== newValue) {
+      this.text.value = newValue;
+      updated = true;
+    }
+    if (updated) {
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new color picker component.
+   * @param {string} labelText The text for this picker
+   * @param {string} defaultValue The default color value
+   */
+  constructor(labelText, defaultValue) {
+    super();
+    this.picker = document.createElement('input');
+    this.picker.type = 'color';
+    this.picker.addEventListener('change', () => {
+      this.value = this.picker.value;
+    });
+
+    this.text = document.createElement('input');
+    this.text.type = 'text';
+    this.text.maxLength = 7;
+    this.text.pattern = '#([a-zA-Z0-9]{3}|[a-zA-Z0-9]{6})';
+    this.text.addEventListener('change', () => {
+      this.value = this.text.value;
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.picker, this.text, label);
+    this.element.classList.add('color-picker');
+
+    this.value = defaultValue;
+  }
+}
+
+/**
+ * A checkbox for toggling settings.
+ */
+class ToggleComponent extends FormComponent {
+  /**
+   * Get or set the value of this toggle component.
+   * 
+   * @public
+   * @returns {boolean} The toggle value
+   */
+  get value() {
+    return this.input.checked;
+  }
+
+  set value(newValue) {
+    if (this.input.checked !== newValue) {
+      this.input.checked = newValue;
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new toggle component.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {boolean} defaultValue The default toggle value
+   */
+  constructor(labelText, defaultValue) {
+    super();
+    this.input = document.createElement('input');
+    this.input.type = 'checkbox';
+    this.input.addEventListener('change', () => {
+      this.invokeChangeCallback();
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.input, label);
+    this.element.classList.add('toggler');
+
+    this.value = defaultValue;
+  }
+}
+
+/**
+ * A number input for numeric settings.
+ */
+class NumberComponent extends FormComponent {
+  /**
+   * Get or set the value of this number component.
+   * 
+   * @public
+   * @returns {number} The number value
+   */
+  get value() {
+    return this.input.valueAsNumber;
+  }
+
+  set value(newValue) {
+    if (this.input.valueAsNumber !== newValue) {
+      this.input.valueAsNumber = newValue;
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new number component.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {number} defaultValue The default number value
+   */
+  constructor(labelText, defaultValue) {
+    super();
+    this.input = document.createElement('input');
+    this.input.type = 'number';
+    this.input.step = '1';
+    this.input.addEventListener('change', () => {
+      if (Number.isNaN(this.input.valueAsNumber)) {
+        return;
+      }
+      this.invokeChangeCallback();
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.input, label);
+
+    this.value = defaultValue;
+  }
+}
+
+/**
+ * A text input for free-form settings.
+ */
+class TextComponent extends FormComponent {
+  /**
+   * Get or set the value of this text component.
+   * 
+   * @public
+   * @returns {string} The text value
+   */
+  get value() {
+    return this.input.value;
+  }
+
+  set value(newValue) {
+    if (this.input.value !== newValue) {
+      this.input.value = newValue;
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new text component.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {string} defaultValue The default text value
+   * @param {string} [placeholder] Placeholder text for when the input is empty
+   */
+  constructor(labelText, defaultValue, placeholder = '') {
+    super();
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.placeholder = placeholder;
+    this.input.addEventListener('change', () => {
+      this.invokeChangeCallback();
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.input, label);
+
+    this.value = defaultValue;
+  }
+}
+
+/**
+ * A date input, for picking a day.
+ */
+class DateComponent extends FormComponent {
+  /**
+   * Get or set the value of this date component.
+   * 
+   * @public
+   * @returns {string} The date as `YYYY-MM-DD`, or an empty string if no date is picked
+   */
+  get value() {
+    return this.input.value;
+  }
+
+  set value(newValue) {
+    if (this.input.value !== newValue) {
+      this.input.value = newValue;
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new date component.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {string} defaultValue The default date, as `YYYY-MM-DD`
+   */
+  constructor(labelText, defaultValue) {
+    super();
+    this.input = document.createElement('input');
+    this.input.type = 'date';
+    this.input.addEventListener('change', () => {
+      this.invokeChangeCallback();
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.input, label);
+
+    this.value = defaultValue;
+  }
+}
+
+/**
+ * A dropdown for choosing between settings.
+ */
+class SelectComponent extends FormComponent {
+  /**
+   * Get or set the value of this select component.
+   * 
+   * @public
+   * @returns {string} The selected value
+   */
+  get value() {
+    return this.select.value;
+  }
+
+  set value(newValue) {
+    if (this.select.value !== newValue) {
+      this.select.value = newValue;
+      this.invokeChangeCallback();
+    }
+  }
+
+  /**
+   * Create a new select component.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {{ value: string, label: string }[]} options The options to choose between
+   * @param {string} defaultValue The default selected value
+   */
+  constructor(labelText, options, defaultValue) {
+    super();
+    this.select = document.createElement('select');
+    this.setOptions(options);
+    this.select.addEventListener('change', () => {
+      this.invokeChangeCallback();
+    });
+
+    const label = document.createElement('span');
+    label.innerText = labelText;
+
+    this.element = document.createElement('label');
+    this.element.append(this.select, label);
+
+    this.value = defaultValue;
+  }
+
+  /**
+   * Replace the options to choose between, keeping the current choice if it's still there.
+   * 
+   * @public
+   * @param {{ value: string, label: string }[]} options The options to choose between
+   */
+  setOptions(options) {
+    const current = this.select.value;
+    this.select.replaceChildren(...options.map(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.innerText = option.label;
+      return element;
+    }));
+    if (options.some(option => option.value === current)) {
+      this.select.value = current;
+    }
+  }
+}
+
+/**
+ * An editor for the names and range of the Fate ladder.
+ */
+class LadderEditorComponent extends FormComponent {
+  /**
+   * Get or set the ladder being edited.
+   * 
+   * @public
+   * @returns {SerializedLadder} The ladder settings
+   */
+  get value() {
+    return {
+      names: { ...this.names },
+      min: this.minInput.value,
+      max: this.maxInput.value,
+      overflow: this.overflowInput.value,
+    };
+  }
+
+  set value(newValue) {
+    if (JSON.stringify(this.value) === JSON.stringify(newValue)) {
+      return;
+    }
+    this.names = { ...newValue.names };
+    this.updating = true;
+    this.minInput.value = newValue.min;
+    this.maxInput.value = newValue.max;
+    this.overflowInput.value = newValue.overflow;
+    this.updating = false;
+    this.checkRange();
+    this.createRungs();
+    this.invokeChangeCallback();
+  }
+
+  /**
+   * Create a new ladder editor.
+   * 
+   * @param {string} labelText The text for this element
+   * @param {SerializedLadder} defaultValue The default ladder settings
+   */
+  constructor(labelText, defaultValue) {
+    super();
+    /** @type {Object<string, string>} */
+    this.names = {};
+    this.updating = false;
+
+    this.minInput = new NumberComponent('Lowest rung', defaultValue.min);
+    this.maxInput = new NumberComponent('Highest rung', defaultValue.max);
+    this.overflowInput = new SelectComponent('Past the ends of the ladder', [
+      { value: LadderOverflow.Extend, label: 'Count on (Legendary+2)' },
+      { value: LadderOverflow.Clamp, label: 'Stop at the end (Legendary)' },
+      { value: LadderOverflow.Number, label: 'Only the number (+10)' },
+    ], defaultValue.overflow);
+
+    [this.minInput, this.maxInput, this.overflowInput].forEach(input => {
+      input.onChange = () => this.onInputChange();
+    });
+
+    this.status = document.createElement('p');
+    this.status.setAttribute('role', 'status');
+
+    this.rungs = document.createElement('div');
+    this.rungs.classList.add('ladder-editor-rungs');
+
+    const summary = document.createElement('summary');
+    summary.innerText = labelText;
+
+    this.element = document.createElement('details');
+    this.element.classList.add('ladder-editor');
+    this.element.append(summary, this.minInput.element, this.maxInput.element, this.overflowInput.element, this.status, this.rungs);
+
+    this.value = defaultValue;
+  }
+
+  /**
+   * Handle a change to the range or overflow inputs.
+   * 
+   * @private
+   */
+  onInputChange() {
+    if (this.updating || !this.checkRange()) {
+      return;
+    }
+    this.createRungs();
+    this.invokeChangeCallback();
+  }
+
+  /**
+   * Check that the range inputs make a valid ladder, showing a message if they don't.
+   * 
+   * An invalid range isn't saved, so the last valid ladder stays in use until it's fixed.
+   * 
+   * @private
+   * @returns {boolean} Whether the range is valid
+   */
+  checkRange() {
+    const min = this.minInput.value;
+    const max = this.maxInput.value;
+    if (!Number.isInteger(min) || !Number.isInteger(max)) {
+      this.status.innerText = 'The rungs must be whole numbers.';
+      return false;
+    }
+    if (min > max) {
+      this.status.innerText = 'The lowest rung can\'t be above the highest rung.';
+      return false;
+    }
+    this.status.innerText = '';
+    return true;
+  }
+
+  /**
+   * Create a name input for each rung of the ladder, from highest to lowest.
+   * 
+   * @private
+   */
+  createRungs() {
+    this.rungs.replaceChildren();
+
+    for (let rung = this.maxInput.value; rung >= this.minInput.value; rung--) {
+      const key = rung.toString();
+
+      const label = document.createElement('span');
+      label.innerText = FudgeUtil.displayTotal(rung);
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = this.names[key] ?? '';
+      input.addEventListener('change', () => {
+        this.names[key] = input.value.trim();
+        this.invokeChangeCallback();
+      });
+
+      this.rungs.append(label, input);
+    }
+  }
+}
+
+/**
+ * The config menu section for exporting, importing, and sharing settings as presets.
+ */
+class SettingsSharingComponent {
+  /**
+   * Create a new settings sharing section.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+
+    /**
+     * The onApply callback, called after new settings are applied and saved. Overwrite this to listen to changes.
+     */
+    this.onApply = () => null;
+
+    /** @type {SettingsBundle | null} */
+    this.pending = null;
+
+    const summary = document.createElement('summary');
+    summary.innerText = 'Share settings';
+
+    this.element = document.createElement('details');
+    this.element.classList.add('settings-sharing');
+    this.element.append(summary, this.createExport(), this.createImport(), this.createPresets());
+
+    this.renderPresets();
+  }
+
+  /**
+   * Create the export controls.
+   * 
+   * @private
+   * @returns {HTMLElement} The export controls
+   */
+  createExport() {
+    const header = document.createElement('h4');
+    header.innerText = 'Export';
+
+    const downloadButton = FormUtil.createButton('Download as JSON', () => {
+      FileUtil.download('fudge-dice-settings.json', 'application/json', JSON.stringify(this.currentBundle, null, 2));
+    });
+
+    const copyButton = FormUtil.createButton('Copy as text', () => this.copy(SettingsTransfer.encode(this.currentBundle)));
+
+    const section = document.createElement('div');
+    section.append(header, downloadButton, ' ', copyButton);
+    return section;
+  }
+
+  /**
+   * Create the import controls.
+   * 
+   * @private
+   * @returns {HTMLElement} The import controls
+   */
+  createImport() {
+    const header = document.createElement('h4');
+    header.innerText = 'Import';
+
+    this.importText = document.createElement('textarea');
+    this.importText.rows = 2;
+    this.importText.placeholder = 'Paste shared settings here';
+
+    this.importFile = document.createElement('input');
+    this.importFile.type = 'file';
+    this.importFile.accept = '.json,application/json';
+    this.importFile.addEventListener('change', () => {
+      const file = this.importFile.files?.[0];
+      if (!file) {
+        return;
+      }
+      FileUtil.readText(file)
+        .then(text => this.preview(text))
+        .catch(e => this.showStatus(`Couldn't read that file: ${e.message}`));
+      this.importFile.value = '';
+    });
+
+    const previewButton = FormUtil.createButton('Preview', () => this.preview(this.importText.value));
+
+    this.previewArea = document.createElement('div');
+    this.previewArea.classList.add('settings-sharing-preview');
+
+    const section = document.createElement('div');
+    section.append(header, this.importText, this.importFile, previewButton, this.previewArea);
+    return section;
+  }
+
+  /**
+   * Create the preset controls.
+   * 
+   * @private
+   * @returns {HTMLElement} The preset controls
+   */
+  createPresets() {
+    const header = document.createElement('h4');
+    header.innerText = 'Presets';
+
+    this.presetList = document.createElement('ul');
+    this.presetList.classList.add('settings-sharing-presets');
+
+    this.presetName = new TextComponent('', '', 'Preset name, e.g. Fate table');
+    const saveButton = FormUtil.createButton('Save current settings as a preset', () => {
+      const name = this.presetName.value.trim();
+      if (!name) {
+        this.showStatus('Give the preset a name first.');
+        return;
+      }
+      this.userConfig.presets = { ...this.userConfig.presets, [name]: SettingsTransfer.shareable(this.userConfig.serialize()) };
+      this.userConfig.save();
+      this.presetName.value = '';
+      this.renderPresets();
+    });
+
+    const section = document.createElement('div');
+    section.append(header, this.presetList, this.presetName.element, saveButton);
+    return section;
+  }
+
+  /**
+   * The current settings, ready to export.
+   * 
+   * @private
+   * @readonly
+   * @returns {SettingsBundle} The current settings
+   */
+  get currentBundle() {
+    return { settings: SettingsTransfer.shareable(this.userConfig.serialize()) };
+  }
+
+  /**
+   * Show a preview of what importing some settings would change, with buttons to apply or cancel.
+   * 
+   * @private
+   * @param {string} text The shared settings
+   */
+  preview(text) {
+    let decoded;
+    try {
+      decoded = SettingsTransfer.decode(text);
+    } catch (e) {
+      this.showStatus('Those don\'t look like fudge dice settings.');
+      return;
+    }
+
+    this.pending = decoded.bundle;
+    const changes = SettingsTransfer.describeChanges(this.userConfig.serialize(), decoded.bundle.settings);
+
+    const title = document.createElement('p');
+    title.innerText = decoded.bundle.name ? `Preset "${decoded.bundle.name}":` : 'Imported settings:';
+
+    const list = document.createElement('ul');
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      item.innerText = `${change.label}: ${change.from} \u2192 ${change.to}`;
+      list.appendChild(item);
+    });
+    if (changes.length === 0) {
+      const item = document.createElement('li');
+      item.innerText = 'Nothing would change.';
+      list.appendChild(item);
+    }
+    decoded.invalid.forEach(field => {
+      const item = document.createElement('li');
+      item.innerText = `${SettingsTransfer.labels[field] ?? field}: invalid, will be ignored`;
+      list.appendChild(item);
+    });
+
+    const applyButton = FormUtil.createButton(decoded.bundle.name ? 'Apply and save preset' : 'Apply', () => {
+      this.applyBundle(this.pending);
+      this.clearPreview();
+    });
+    const cancelButton = FormUtil.createButton('Cancel', () => this.clearPreview());
+
+    this.previewArea.replaceChildren(title, list, applyButton, ' ', cancelButton);
+  }
+
+  /**
+   * Apply some settings, saving them as a preset too if they have a name.
+   * 
+   * @private
+   * @param {SettingsBundle} bundle The settings to apply
+   */
+  applyBundle(bundle) {
+    // Presets may have been saved by an older version, so bring them up to date first.
+    const settings = SettingsTransfer.shareable(ConfigSchema.parseObject(bundle.settings).config);
+
+    this.userConfig.apply(settings);
+    if (bundle.name) {
+      this.userConfig.presets = { ...this.userConfig.presets, [bundle.name]: settings };
+    }
+    this.userConfig.save();
+    this.renderPresets();
+    this.onApply();
+  }
+
+  /**
+   * Clear the import preview.
+   * 
+   * @private
+   */
+  clearPreview() {
+    this.pending = null;
+    this.importText.value = '';
+    this.previewArea.replaceChildren();
+  }
+
+  /**
+   * Draw the list of saved presets.
+   * 
+   * @public
+   */
+  renderPresets() {
+    const items = Object.entries(this.userConfig.presets).map(([name, settings]) => {
+      const label = document.createElement('span');
+      label.innerText = name;
+
+      const applyButton = FormUtil.createButton('Apply', () => this.applyBundle({ name, settings }));
+      const shareButton = FormUtil.createButton('Copy to share', () => this.copy(SettingsTransfer.encode({ name, settings })));
+      const deleteButton = FormUtil.createButton('Delete', () => {
+        const presets = { ...this.userConfig.presets };
+        delete presets[name];
+        this.userConfig.presets = presets;
+        this.userConfig.save();
+        this.renderPresets();
+      });
+
+      const item = document.createElement('li');
+      item.append(label, ' ', applyButton, ' ', shareButton, ' ', deleteButton);
+      return item;
+    });
+
+    if (items.length === 0) {
+      const item = document.createElement('li');
+      item.innerText = 'No presets yet.';
+      items.push(item);
+    }
+
+    this.presetList.replaceChildren(...items);
+  }
+
+  /**
+   * Copy text to the clipboard, falling back to showing it for a manual copy.
+   * 
+   * @private
+   * @param {string} text The text to copy
+   */
+  copy(text) {
+    FileUtil.copy(text)
+      .then(() => this.showStatus('Copied!'))
+      .catch(() => {
+        this.importText.value = text;
+        this.importText.select();
+        this.showStatus('Couldn\'t copy automatically. The text is selected above; copy it from there.');
+      });
+  }
+
+  /**
+   * Show a short message in the preview area.
+   * 
+   * @private
+   * @param {string} message The message to show
+   */
+  showStatus(message) {
+    const status = document.createElement('p');
+    status.innerText = message;
+    this.previewArea.replaceChildren(status);
+  }
+}
+
+/**
+ * A section of the config menu for managing the rooms that use fudge dice, including ones on other chat servers.
+ */
+class RoomManagerComponent {
+  /**
+   * Create a new room manager section.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+
+    /**
+     * The onChange callback, called after the list of rooms is changed and saved. Overwrite this to listen to changes.
+     */
+    this.onChange = () => null;
+
+    const summary = document.createElement('summary');
+    summary.innerText = 'Manage rooms';
+
+    this.roomList = document.createElement('ul');
+    this.roomList.classList.add('room-manager-rooms');
+
+    this.roomInput = new TextComponent('Add a room', '', 'Room ID or link');
+    const addButton = FormUtil.createButton('Add', () => this.addRoom(this.roomInput.value));
+    const resetButton = FormUtil.createButton('Reset to the default rooms', () => {
+      this.userConfig.resetRooms();
+      this.save('The room list has been reset.');
+    });
+
+    this.status = document.createElement('p');
+    this.status.setAttribute('role', 'status');
+
+    this.element = document.createElement('details');
+    this.element.classList.add('room-manager');
+    this.element.append(summary, this.roomList, this.roomInput.element, addButton, ' ', resetButton, this.status);
+
+    this.render();
+  }
+
+  /**
+   * Draw the list of rooms, each with its name, when it was last visited, and a button to remove it.
+   * 
+   * @public
+   */
+  render() {
+    const items = this.userConfig.rooms.map(roomKey => {
+      const [host, roomId] = roomKey.split(':');
+      const info = this.userConfig.roomInfo[roomKey];
+      const server = ChatServers.get(host)?.name ?? host;
+
+      const name = document.createElement('strong');
+      name.innerText = info?.name || `Room ${roomId}`;
+
+      const details = document.createElement('span');
+      details.innerText = ` (${server}, room ${roomId}), `
+        + (info ? `last seen ${new Date(info.lastSeen).toLocaleString()}` : 'not visited yet');
+
+      const removeButton = FormUtil.createButton('Remove', () => {
+        this.userConfig.removeRoom(roomKey);
+        this.save(`Removed ${info?.name || `room ${roomId}`}.`);
+      });
+      removeButton.setAttribute('aria-label', `Remove ${info?.name || `room ${roomId}`}`);
+
+      const item = document.createElement('li');
+      item.append(name, details, ' ', removeButton);
+      return item;
+    });
+
+    if (items.length === 0) {
+      const item = document.createElement('li');
+      item.innerText = 'No rooms use fudge dice.';
+      items.push(item);
+    }
+
+    this.roomList.replaceChildren(...items);
+  }
+
+  /**
+   * Add a room from its ID or a link to it.
+   * 
+   * @private
+   * @param {string} text The room ID or link
+   */
+  addRoom(text) {
+    const roomKey = ChatUtil.parseRoomKey(text);
+    if (!roomKey) {
+      this.status.innerText = 'That isn\'t a room ID or a link to a chat room.';
+      return;
+    }
+    if (this.userConfig.rooms.includes(roomKey)) {
+      this.status.innerText = 'That room already uses fudge dice.';
+      return;
+    }
+
+    this.userConfig.addRoom(roomKey);
+    this.roomInput.value = '';
+    this.save('Added the room.');
+  }
+
+  /**
+   * Save a change to the list of rooms and redraw it.
+   * 
+   * @private
+   * @param {string} message A short message saying what changed
+   */
+  save(message) {
+    this.userConfig.save();
+    this.render();
+    this.status.innerText = message;
+    this.onChange();
+  }
+}
+
+/**
+ * Manager for the fudge dice configuration menu.
+ */
+class ConfigMenuService {
+  /**
+   * Create a new config menu service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   * @param {CssService} cssService The css service
+   * @param {ChatService} chatService The chat service
+   * @param {HistoryPanelService} historyPanel The roll history panel
+   * @param {ExportService} exportService The roll export service
+   */
+  constructor(userConfig, cssService, chatService, historyPanel, exportService) {
+    this.userConfig = userConfig;
+    this.cssService = cssService;
+    this.chatService = chatService;
+    this.historyPanel = historyPanel;
+    this.exportService = exportService;
+
+    /**
+     * The marker shown under each setting this room sets for itself, keyed by the setting's name in the config.
+     * @private
+     * @type {Map<string, HTMLElement>}
+     */
+    this.overrideMarkers = new Map();
+  }
+
+  /**
+   * Initialise the config menu service and create the UI.
    * 
    * @public
    */
   init() {
-    this.css = document.createElement('style');
-    this.css.id = 'rpgse-chat-fudge-dice-css';
-    this.css.innerHTML = this.getCssContent();
-    document.head.appendChild(this.css);
+    this.createComponents();
+    this.createUi();
+  }
+
+  /**
+   * Create the backbone components used by the UI.
+   * 
+   * @private
+   */
+  createComponents() {
+    this.fudgeOn = new ToggleComponent('Use fudge dice here', this.userConfig.isActiveHere);
+    this.modeInput = new SelectComponent(
+      'Dice mode in this room',
+      DiceModes.all.map(mode => ({ value: mode.id, label: mode.name })),
+      this.userConfig.modeHere.id
+    );
+    this.activationInput = new SelectComponent('Dice to convert here', [
+      { value: ActivationMode.All, label: 'Every die' },
+      { value: ActivationMode.Marked, label: 'Only fudge rolls (dF, fate) and listed users' },
+    ], this.userConfig.activationHere.mode);
+    this.usersInput = new TextComponent(
+      'Users who always roll fudge here',
+      this.userConfig.activationHere.users.join(', '),
+      'User IDs or names'
+    );
+    this.selectionInput = new SelectComponent('Fudge dice within a roll', [
+      { value: DiceSelection.All, label: 'Every die' },
+      { value: DiceSelection.First, label: 'The first few dice' },
+      { value: DiceSelection.Text, label: 'The dice named in the text (4dF + 1d6)' },
+    ], this.userConfig.activationHere.selection);
+    this.firstCountInput = new NumberComponent('How many of the first dice are fudge dice', this.userConfig.activationHere.firstCount);
+
+    const settings = this.userConfig.settingsHere;
+    this.scopeInput = new SelectComponent('Change the settings below for', [
+      { value: 'global', label: 'Every room' },
+      { value: 'room', label: 'This room only' },
+    ], 'global');
+    this.faceStyleInput = new SelectComponent(
+      'Fudge face style',
+      FaceStyles.all.map(style => ({ value: style.id, label: style.name })),
+      FaceStyles.get(settings.faceStyle).id
+    );
+    this.colorsOn = new ToggleComponent('Color the fudge dice', settings.useColors);
+    this.plusColorInput = new ColorPickerComponent('Plus color', settings.plusColor);
+    this.minusColorInput = new ColorPickerComponent('Minus color', settings.minusColor);
+    this.ladderOn = new ToggleComponent('Show Fate ladder names', settings.useLadder);
+    this.ladderInput = new LadderEditorComponent('Fate ladder', settings.ladder);
+    this.announceOn = new ToggleComponent('Announce new rolls to screen readers', settings.announceRolls);
+
+    /**
+     * The component for each setting that can differ by room, keyed by the setting's name in the config.
+     * @type {Object<string, FormComponent>}
+     */
+    this.roomSettingInputs = {
+      faceStyle: this.faceStyleInput,
+      useColors: this.colorsOn,
+      plusColor: this.plusColorInput,
+      minusColor: this.minusColorInput,
+      useLadder: this.ladderOn,
+      ladder: this.ladderInput,
+      announceRolls: this.announceOn,
+    };
+
+    this.sharing = new SettingsSharingComponent(this.userConfig);
+    this.roomManager = new RoomManagerComponent(this.userConfig);
+
+    this.fudgeOn.onChange = value => {
+      if (value) {
+        this.userConfig.activateRoom();
+      } else {
+        this.userConfig.deactivateRoom();
+      }
+      this.userConfig.save();
+      this.roomManager.render();
+      this.cssService.update();
+      this.chatService.refresh();
+    };
+
+    this.modeInput.onChange = value => {
+      this.userConfig.modeHere = DiceModes.get(value);
+      this.userConfig.save();
+      this.cssService.update();
+      this.chatService.refresh();
+    };
+
+    this.activationInput.onChange = value => {
+      this.userConfig.activationHere = { ...this.userConfig.activationHere, mode: value };
+      this.userConfig.save();
+      this.chatService.refresh();
+    };
+
+    this.usersInput.onChange = value => {
+      const users = value.split(',').map(user => user.trim()).filter(user => user);
+      this.userConfig.activationHere = { ...this.userConfig.activationHere, users };
+      this.userConfig.save();
+      this.chatService.refresh();
+    };
+
+    this.selectionInput.onChange = value => {
+      this.userConfig.activationHere = { ...this.userConfig.activationHere, selection: value };
+      this.userConfig.save();
+      this.chatService.refresh();
+    };
+
+    this.firstCountInput.onChange = value => {
+      this.userConfig.activationHere = { ...this.userConfig.activationHere, firstCount: Math.max(0, value) };
+      this.userConfig.save();
+      this.chatService.refresh();
+    };
+
+    this.faceStyleInput.onChange = value => {
+      this.changeRoomSetting('faceStyle', value);
+      this.cssService.update();
+      this.chatService.refresh();
+    };
+
+    this.colorsOn.onChange = value => {
+      this.changeRoomSetting('useColors', value);
+      this.cssService.update();
+    };
+
+    this.plusColorInput.onChange = value => {
+      this.changeRoomSetting('plusColor', value);
+      this.cssService.update();
+    };
+
+    this.minusColorInput.onChange = value => {
+      this.changeRoomSetting('minusColor', value);
+      this.cssService.update();
+    };
+
+    this.ladderOn.onChange = value => {
+      this.changeRoomSetting('useLadder', value);
+      this.chatService.refresh();
+    };
+
+    this.ladderInput.onChange = value => {
+      this.changeRoomSetting('ladder', value);
+      this.chatService.refresh();
+    };
+
+    this.announceOn.onChange = value => {
+      this.changeRoomSetting('announceRolls', value);
+    };
+
+    this.sharing.onApply = () => {
+      this.updateComponents();
+      this.cssService.update();
+      this.chatService.refresh();
+    };
+
+    this.roomManager.onChange = () => {
+      this.fudgeOn.setValueSilently(this.userConfig.isActiveHere);
+      this.cssService.update();
+      this.chatService.refresh();
+    };
+  }
+
+  /**
+   * Save a change to a setting that can differ by room, for this room or every room depending on the chosen scope.
+   * 
+   * @private
+   * @param {string} field The name of the setting in the config
+   * @param {any} value The new value
+   */
+  changeRoomSetting(field, value) {
+    const forRoom = this.scopeInput.value === 'room';
+    this.userConfig.setSettingHere(field, value, forRoom);
+    this.userConfig.save();
+
+    if (!forRoom && this.userConfig.overridesHere[field] !== undefined) {
+      // This room keeps its own value, so the menu goes back to showing that, next to its marker.
+      this.updateComponents();
+    } else {
+      this.updateOverrideMarkers();
+    }
+  }
+
+  /**
+   * Put a setting in this room back to the global value.
+   * 
+   * @private
+   * @param {string} field The name of the setting in the config
+   */
+  resetRoomSetting(field) {
+    this.userConfig.resetSettingHere(field);
+    this.userConfig.save();
+    this.updateComponents();
+    this.cssService.update();
+    this.chatService.refresh();
+  }
+
+  /**
+   * Show which settings this room sets for itself, each with a button to go back to the global value.
+   * 
+   * @private
+   */
+  updateOverrideMarkers() {
+    const overrides = this.userConfig.overridesHere;
+    this.overrideMarkers.forEach((marker, field) => {
+      marker.hidden = overrides[field] === undefined;
+    });
+  }
+
+  /**
+   * Update the components to match the current config, e.g. after settings are imported or changed in another tab.
+   * 
+   * The components' change callbacks aren't fired, since the config already has these values.
+   * 
+   * @public
+   */
+  updateComponents() {
+    const activation = this.userConfig.activationHere;
+    const settings = this.userConfig.settingsHere;
+
+    this.fudgeOn.setValueSilently(this.userConfig.isActiveHere);
+    this.modeInput.setValueSilently(this.userConfig.modeHere.id);
+    this.activationInput.setValueSilently(activation.mode);
+    this.usersInput.setValueSilently(activation.users.join(', '));
+    this.selectionInput.setValueSilently(activation.selection);
+    this.firstCountInput.setValueSilently(activation.firstCount);
+    this.faceStyleInput.setValueSilently(FaceStyles.get(settings.faceStyle).id);
+    this.colorsOn.setValueSilently(settings.useColors);
+    this.plusColorInput.setValueSilently(settings.plusColor);
+    this.minusColorInput.setValueSilently(settings.minusColor);
+    this.ladderOn.setValueSilently(settings.useLadder);
+    this.ladderInput.setValueSilently(settings.ladder);
+    this.announceOn.setValueSilently(settings.announceRolls);
+    this.updateOverrideMarkers();
+    this.roomManager.render();
+    this.sharing.renderPresets();
+  }
+
+  /**
+   * Create the actual config menu UI.
+   * 
+   * @private
+   */
+  createUi() {
+    this.menuButton = this.createMenuButton();
+    this.menu = this.createMenu();
+
+    const sidebarMenu = document.getElementById('sidebar-menu');
+    
+    sidebarMenu.append(' | ');
+    sidebarMenu.appendChild(this.menuButton);
+    sidebarMenu.insertAdjacentElement('afterend', this.menu);
+
+    this.menuButton.setAttribute('aria-controls', this.menu.id);
+    this.menuButton.setAttribute('aria-expanded', 'false');
+    this.menuButton.addEventListener('click', () => {
+      this.setOpen(!this.menu.classList.contains('fudge-menu--open'));
+    });
+
+    this.menu.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.setOpen(false);
+      }
+    });
+  }
+
+  /**
+   * Open or close the menu, moving focus into it when it opens and back to the menu button when it closes.
+   * 
+   * @private
+   * @param {boolean} open Whether the menu should be open
+   */
+  setOpen(open) {
+    this.menu.classList.toggle('fudge-menu--open', open);
+    this.menuButton.setAttribute('aria-expanded', open.toString());
+
+    if (open) {
+      this.menu.querySelector('input, select, textarea, button, summary')?.focus();
+    } else if (this.menu.contains(document.activeElement)) {
+      this.menuButton.focus();
+    }
+  }
+
+  /**
+   * Create the element that opens/closes the menu.
+   * 
+   * @private
+   */
+  createMenuButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.innerHTML = '&pm; fudge dice';
+    button.classList.add('fudge-menu-button');
+    return button;
+  }
+
+  /**
+   * Wrap a setting that can differ by room with a marker, shown when this room sets it for itself.
+   * 
+   * @private
+   * @param {string} field The name of the setting in the config
+   * @param {string} label A short name for the setting, for screen readers
+   * @returns {HTMLElement} The setting and its marker
+   */
+  createRoomSetting(field, label) {
+    const note = document.createElement('span');
+    note.innerText = 'Set for this room only. ';
+
+    const reset = FormUtil.createButton('Reset to global', () => this.resetRoomSetting(field));
+    reset.setAttribute('aria-label', `Reset ${label} to the global setting`);
+
+    const marker = document.createElement('div');
+    marker.classList.add('fudge-override');
+    marker.append(note, reset);
+    this.overrideMarkers.set(field, marker);
+
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('fudge-room-setting');
+    wrapper.append(this.roomSettingInputs[field].element, marker);
+    return wrapper;
+  }
+
+  /**
+   * Create the main menu UI element.
+   * 
+   * @private
+   */
+  createMenu() {
+    const menu = document.createElement('section');
+    menu.id = 'fudge-menu';
+    menu.classList.add('fudge-menu');
+    menu.setAttribute('aria-labelledby', 'fudge-menu-header');
+
+    const header = document.createElement('h3');
+    header.id = 'fudge-menu-header';
+    header.innerText = 'Fudge dice config';
+    menu.appendChild(header);
+
+    const options = document.createElement('div');
+    options.classList.add('fudge-menu-options');
+    options.append(
+      this.fudgeOn.element,
+      this.modeInput.element,
+      this.activationInput.element,
+      this.usersInput.element,
+      this.selectionInput.element,
+      this.firstCountInput.element,
+      this.scopeInput.element,
+      this.createRoomSetting('faceStyle', 'face style'),
+      this.createRoomSetting('useColors', 'dice coloring'),
+      this.createRoomSetting('plusColor', 'plus color'),
+      this.createRoomSetting('minusColor', 'minus color'),
+      this.createRoomSetting('useLadder', 'ladder names'),
+      this.createRoomSetting('ladder', 'Fate ladder'),
+      this.createRoomSetting('announceRolls', 'roll announcements'),
+      this.roomManager.element,
+      this.sharing.element
+    );
+    menu.appendChild(options);
+    this.updateOverrideMarkers();
+
+    const historyButton = FormUtil.createButton('Roll history', () => this.historyPanel.toggle(historyButton));
+    historyButton.setAttribute('aria-controls', 'fudge-history');
+    historyButton.setAttribute('aria-expanded', 'false');
+    menu.appendChild(historyButton);
+
+    if (this.exportService.isAvailable) {
+      const csvButton = FormUtil.createButton('Export rolls (CSV)', () => this.exportService.exportCsv());
+      const jsonButton = FormUtil.createButton('Export rolls (JSON)', () => this.exportService.exportJson());
+
+      menu.append(' ', csvButton, ' ', jsonButton);
+    }
+
+    return menu;
+  }
+}
+
+/**
+ * Offers to run the script in a room that isn't on RPG.SE, since the script stays out of those rooms unless asked.
+ */
+class OptInService {
+  /**
+   * Create a new opt-in service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+
+    /**
+     * The onOptIn callback, called once the room has been opted in. Overwrite this to start the script.
+     */
+    this.onOptIn = () => null;
+  }
+
+  /**
+   * Add the opt-in button to the sidebar menu, if this page is a room that can be opted in.
+   * 
+   * @public
+   */
+  init() {
+    const sidebarMenu = document.getElementById('sidebar-menu');
+    if (ChatUtil.roomId === null || !sidebarMenu) {
+      return;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.innerHTML = '&pm; use fudge dice';
+    button.title = `Opt this ${ChatUtil.server.name} room in to fudge dice`;
+    button.classList.add('fudge-menu-button');
+
+    const separator = document.createTextNode(' | ');
+    sidebarMenu.append(separator, button);
+
+    button.addEventListener('click', () => {
+      this.userConfig.activateRoom();
+      this.userConfig.save();
+      separator.remove();
+      button.remove();
+      this.onOptIn();
+    });
+  }
+}
+
+/**
+ * Manager for the roll history and statistics panel.
+ */
+class HistoryPanelService {
+  /**
+   * Create a new history panel service.
+   * 
+   * @param {RollStore} rollStore The roll store
+   */
+  constructor(rollStore) {
+    this.rollStore = rollStore;
+    /** @type {RollRecord[]} */
+    this.records = [];
+  }
+
+  /**
+   * Initialise the history panel and create the UI, including a link to open it in the sidebar menu.
+   * 
+   * The panel is placed after the config menu, so this must run after the menu is created.
+   * 
+   * @public
+   */
+  init() {
+    this.userInput = new SelectComponent('Stats for', [], '');
+    this.fromInput = new DateComponent('From', '');
+    this.toInput = new DateComponent('To', '');
+    [this.userInput, this.fromInput, this.toInput].forEach(input => {
+      input.onChange = () => this.render();
+    });
+
+    const filters = document.createElement('div');
+    filters.classList.add('fudge-menu-options');
+    filters.append(this.userInput.element, this.fromInput.element, this.toInput.element);
+
+    this.stats = document.createElement('div');
+    this.stats.classList.add('fudge-history-stats');
+
+    this.fairness = document.createElement('div');
+    this.fairness.classList.add('fudge-history-fairness');
+
+    this.table = document.createElement('table');
+    this.table.classList.add('fudge-history-table');
+
+    const header = document.createElement('h3');
+    header.id = 'fudge-history-header';
+    header.tabIndex = -1;
+    header.innerText = 'Roll history';
+
+    this.panel = document.createElement('section');
+    this.panel.id = 'fudge-history';
+    this.panel.classList.add('fudge-menu', 'fudge-history');
+    this.panel.setAttribute('aria-labelledby', header.id);
+    this.panel.append(header, filters, this.stats, this.fairness, this.table);
+
+    this.panel.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && this.isOpen) {
+        event.stopPropagation();
+        this.toggle(this.opener);
+      }
+    });
+
+    document.querySelector('.fudge-menu').insertAdjacentElement('afterend', this.panel);
+
+    const sidebarButton = FormUtil.createButton('roll history', () => this.toggle(sidebarButton));
+    sidebarButton.classList.add('fudge-menu-button');
+    sidebarButton.setAttribute('aria-controls', this.panel.id);
+    sidebarButton.setAttribute('aria-expanded', 'false');
+    document.getElementById('sidebar-menu').append(' | ', sidebarButton);
   }
 
   /**
-   * Update the CSS and on-page configuration.
+   * Whether the panel is currently open.
+   * 
+   * @public
+   * @readonly
+   */
+  get isOpen() {
+    return this.panel?.classList.contains('fudge-menu--open') ?? false;
+  }
+
+  /**
+   * Open or close the panel, moving focus into it when it opens and back to the opener when it closes.
+   * 
+   * @public
+   * @param {HTMLElement} [opener] The control that opened the panel
+   */
+  toggle(opener) {
+    this.panel.classList.toggle('fudge-menu--open');
+    this.opener = opener;
+    // The panel can be opened from the sidebar or the config menu, so every control for it is kept up to date.
+    document.querySelectorAll(`[aria-controls="${this.panel.id}"]`).forEach(control => {
+      control.setAttribute('aria-expanded', this.isOpen.toString());
+    });
+
+    if (this.isOpen) {
+      this.panel.querySelector('h3').focus();
+    } else if (this.panel.contains(document.activeElement)) {
+      opener?.focus();
+    }
+
+    this.update();
+  }
+
+  /**
+   * Reload the rolls and redraw the panel, if it's open.
    * 
    * @public
    */
   update() {
-    this.css.innerHTML = this.getCssContent();
-    
-    const root = document.querySelector(`.${HtmlClass.FudgeRoot}`);
-    this.setClass(root, HtmlClass.FudgeOn, this.userConfig.isActiveHere);
-    this.setClass(root, HtmlClass.FudgeColorsOn, this.userConfig.useColors);
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.rollStore.getRoom(ChatUtil.roomId)
+      .then(records => {
+        this.records = records;
+        this.render();
+      })
+      .catch(e => Log.error('Failed to load the roll history.', e));
   }
 
   /**
-   * Sets a class to present/hidden 
+   * Draw the panel from the loaded rolls.
    * 
    * @private
-   * @param {HTMLElement} element the element to set the class on
-   * @param {string} className The class name to add/remove
-   * @param {boolean} condition Whether the class should be present
    */
-  setClass(element, className, condition) {
-    if (condition) {
-      element.classList.add(className);
-    } else {
-      element.classList.remove(className);
-    }
+  render() {
+    /** @type {Map<string, string>} */
+    const users = new Map();
+    this.records.forEach(record => users.set(record.userId, record.userName));
+    this.userInput.setOptions([{ value: '', label: 'Everyone' }].concat(
+      Array.from(users, ([userId, userName]) => ({ value: userId, label: userName || userId }))
+    ));
+
+    const records = this.filterRecords();
+
+    this.renderStats(RollStats.summarize(records));
+    this.renderFairness(FairnessTest.check(records));
+    this.renderTable(records);
   }
 
   /**
-   * Get the CSS for this userscript
+   * Get the loaded rolls that match the chosen user and date range.
    * 
    * @private
-   * @returns {string} A CSS file
+   * @returns {RollRecord[]} The matching rolls
    */
-  getCssContent() {
-    const root = `.${HtmlClass.FudgeRoot}`;
-    const fudgeOn = `.${HtmlClass.FudgeOn}`;
-    const colorsOn = `.${HtmlClass.FudgeColorsOn}`;
-    const fudgeDie = `.${HtmlClass.FudgeDie}`;
-    const fudgeDieFace = `.${HtmlClass.FudgeDieFace}`;
-    const fudgeDieFaceSymbol = `.${HtmlClass.FudgeDieFaceSymbol}`;
+  filterRecords() {
+    const userId = this.userInput.value;
+    const from = this.fromInput.value ? new Date(`${this.fromInput.value}T00:00`).getTime() : -Infinity;
+    const to = this.toInput.value ? new Date(`${this.toInput.value}T00:00`).getTime() + 24 * 60 * 60 * 1000 : Infinity;
 
-    return `
-      ${root}:not(${fudgeOn}) ${fudgeDieFace} {
-        display: none;
-      }
+    return this.records.filter(record => (!userId || record.userId === userId) && record.time >= from && record.time < to);
+  }
 
-      ${root}${fudgeOn} .dot {
-        display: none;
-      }
+  /**
+   * Draw the fairness report for a set of rolls.
+   * 
+   * @private
+   * @param {FairnessReport} report The fairness report
+   */
+  renderFairness(report) {
+    const header = document.createElement('h4');
+    header.innerText = 'Are the dice fair?';
 
-      ${root}${fudgeOn} ${fudgeDie},
-      ${fudgeDieFace} {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
+    const describe = (name, test) => {
+      const line = document.createElement('p');
+      line.innerText = `${name}: \u03C7\u00B2 = ${test.statistic.toFixed(2)} (${test.degreesOfFreedom} degrees of freedom), p = ${test.pValue.toFixed(3)}. `
+        + `Counts: ${test.observed.join(' / ')}.`;
+      return line;
+    };
 
-      ${fudgeDieFace} {
-        cursor: help;
-        font-size: 30px;
-        font-weight: bold;
-        min-width: 30px;
-        min-height: 30px;
-      }
+    const size = document.createElement('p');
+    size.innerText = `${report.sampleSize} dice checked.`;
 
-      ${fudgeDieFaceSymbol} {
-        display: inline-block;
-      }
+    const verdict = document.createElement('p');
+    verdict.classList.add('fudge-history-verdict');
+    verdict.innerText = report.verdict;
 
-      ${root}${fudgeOn} ${fudgeDie}[${HtmlAttribute.DataFudgeScore}='${FudgeScore.Minus}'] {
-        color: var(${CssAttribute.FudgeDiceMinusColor});
-      }
+    this.fairness.replaceChildren(
+      header,
+      size,
+      describe('d6 faces (1\u20136)', report.d6),
+      describe('Fudge faces (\u2212 / blank / +)', report.fudge),
+      verdict
+    );
+  }
 
-      ${root}${fudgeOn} ${fudgeDie}[${HtmlAttribute.DataFudgeScore}='${FudgeScore.Plus}'] {
-        color: var(${CssAttribute.FudgeDicePlusColor});
-      }
+  /**
+   * Draw the statistics for a set of rolls.
+   * 
+   * @private
+   * @param {RollSummary} summary The summary of the rolls
+   */
+  renderStats(summary) {
+    this.stats.replaceChildren();
 
-      ${root}${fudgeOn} {
-        ${CssAttribute.FudgeDicePlusColor}: inherit;
-        ${CssAttribute.FudgeDiceMinusColor}: inherit;
-      }
+    if (summary.count === 0) {
+      this.stats.innerText = 'No fudge rolls seen in this room yet.';
+      return;
+    }
 
-      ${root}${fudgeOn}${colorsOn} {
-        ${CssAttribute.FudgeDicePlusColor}: ${this.userConfig.plusColor};
-        ${CssAttribute.FudgeDiceMinusColor}: ${this.userConfig.minusColor};
-      }
+    const overview = document.createElement('p');
+    overview.innerText = `${summary.count} rolls, mean total ${summary.mean.toFixed(2)} (expected 0.00).`;
 
-      .fudge-menu-button {
-        cursor: pointer;
-        user-select: none;
-      }
+    const streaks = document.createElement('p');
+    const current = summary.currentStreak === 0
+      ? 'none'
+      : `${Math.abs(summary.currentStreak)} ${summary.currentStreak > 0 ? 'above' : 'below'} zero`;
+    streaks.innerText = `Longest streaks: ${summary.longestHot} above zero, ${summary.longestCold} below zero. Current streak: ${current}.`;
 
-      .fudge-menu {
-        border: 1px solid #E0DCBF;
-        background-color: rgb(250, 250, 250);
-        padding: 10px;
-        color: #444444;
-        margin-bottom: 1em;
-      }
+    const chartTitle = document.createElement('p');
+    chartTitle.innerText = `Totals of ${summary.standardCount} ${RollStats.standardDice}dF rolls, against the expected curve:`;
 
-      .fudge-menu * {
-        box-sizing: border-box;
-      }
+    const chart = document.createElement('div');
+    chart.classList.add('fudge-history-chart');
+    const expected = FudgeUtil.distribution(RollStats.standardDice);
+    summary.standardTotals.forEach((count, index) => {
+      const observed = summary.standardCount > 0 ? count / summary.standardCount : 0;
 
-      .fudge-menu:not(.fudge-menu--open) {
-        display: none;
-      }
+      const label = document.createElement('span');
+      label.innerText = FudgeUtil.displayTotal(index - RollStats.standardDice);
 
-      .fudge-menu h3 {
-        margin-bottom: 0.5em;
-      }
+      const bar = document.createElement('span');
+      bar.classList.add('fudge-history-bar');
+      bar.style.width = `${observed * 100}%`;
 
-      .fudge-menu .fudge-menu-options {
-        display: flex;
-        flex-direction: column;
-        align-items: flex-start;
-        gap: 8px;
-      }
+      const marker = document.createElement('span');
+      marker.classList.add('fudge-history-expected');
+      marker.style.left = `${expected[index] * 100}%`;
 
-      .fudge-menu input[type='color'] {
-        background: none;
-        border: 0;
-        cursor: pointer;
-        margin: 0;
-        padding: 0;
-        width: 20px;
-        height: 20px;
-      }
+      const track = document.createElement('span');
+      track.classList.add('fudge-history-track');
+      track.title = `${count} rolls: ${(observed * 100).toFixed(1)}%, expected ${(expected[index] * 100).toFixed(1)}%`;
+      track.append(bar, marker);
 
-      .fudge-menu input[type='text'] {
-        height: 20px;
-      }
+      chart.append(label, track);
+    });
 
-      .fudge-menu label {
-        display: flex;
-        flex-direction: row;
-        align-items: center;
-        gap: 8px;
+    this.stats.append(overview, streaks, chartTitle, chart);
+  }
+
+  /**
+   * Draw the table of rolls, newest first.
+   * 
+   * @private
+   * @param {RollRecord[]} records The rolls to list
+   */
+  renderTable(records) {
+    const head = document.createElement('tr');
+    ['Time', 'User', 'Dice', 'Total'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.innerText = text;
+      head.appendChild(cell);
+    });
+
+    const rows = [...records].reverse().map(record => {
+      const row = document.createElement('tr');
+      [
+        new Date(record.time).toLocaleString(),
+        record.userName,
+        FudgeUtil.describeFaces(record.faces),
+        record.result === undefined
+          ? FudgeUtil.displayTotal(record.total)
+          : `${FudgeUtil.displayTotal(record.total)} \u2192 ${FudgeUtil.displayTotal(record.result)}`,
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.innerText = text;
+        row.appendChild(cell);
+      });
+      return row;
+    });
+
+    this.table.replaceChildren(head, ...rows);
+  }
+}
+
+/**
+ * The popover that explains a roll, shown while hovering over its dice or its total.
+ */
+class RollPopoverService {
+  /**
+   * Create a new roll popover service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+  }
+
+  /**
+   * Create the popover and start listening for hovers.
+   * 
+   * @public
+   */
+  init() {
+    this.popover = document.createElement('div');
+    this.popover.id = 'fudge-popover';
+    this.popover.classList.add('fudge-popover');
+    this.popover.setAttribute('role', 'tooltip');
+    this.popover.hidden = true;
+    document.body.appendChild(this.popover);
+
+    document.addEventListener('mouseover', event => {
+      const target = RollPopoverService.findTarget(event.target);
+      if (target && target !== this.target) {
+        this.show(target);
       }
+    });
 
-      .fudge-menu .color-picker input[type='text'] {
-        width: 7em;
+    document.addEventListener('mouseout', event => {
+      const target = RollPopoverService.findTarget(event.target);
+      if (target && !target.contains(event.relatedTarget)) {
+        this.hide();
       }
+    });
 
-      .fudge-menu .toggler {
-        cursor: pointer;
-        user-select: none;
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        this.hide();
       }
-    `;
+    });
+  }
+
+  /**
+   * Find the converted die or total that an element is part of.
+   * 
+   * @private
+   * @param {EventTarget | null} element The element
+   * @returns {HTMLElement | null} The die or total, if there is one
+   */
+  static findTarget(element) {
+    return element instanceof Element ? element.closest(`.${HtmlClass.FudgeDie}, .${HtmlClass.FudgeTotal}`) : null;
+  }
+
+  /**
+   * Explain the roll a die or total belongs to, in a popover underneath it.
+   * 
+   * @private
+   * @param {HTMLElement} target The die or total
+   */
+  show(target) {
+    this.hide();
+
+    const message = ChatUtil.getMessageElement(target);
+    const roomId = ChatUtil.getRoomId(target);
+    const mode = this.userConfig.modeIn(roomId);
+    const settings = this.userConfig.settingsIn(roomId);
+    const dice = message ? Array.from(message.querySelectorAll(`.${HtmlClass.FudgeDie}`)) : [target];
+    const d6s = dice.map(die => Number(die.getAttribute(HtmlAttribute.DataD6Score)));
+    const result = mode.result(d6s, {
+      text: message ? ChatUtil.getMessageText(message) : '',
+      userConfig: settings,
+      opposing: message ? ChatService.findOpposingRoll(message, mode) : undefined,
+    });
+
+    /** @type {string[]} */
+    const lines = [];
+    if (target.classList.contains(HtmlClass.FudgeDie)) {
+      lines.push(mode.explainDie(Number(target.getAttribute(HtmlAttribute.DataD6Score))));
+    }
+    lines.push(...mode.explain(d6s, result, settings));
+
+    this.popover.replaceChildren(...lines.map(line => {
+      const row = document.createElement('div');
+      row.innerText = line;
+      return row;
+    }));
+
+    const rect = target.getBoundingClientRect();
+    this.popover.style.left = `${rect.left + window.scrollX}px`;
+    this.popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    this.popover.hidden = false;
+
+    this.target = target;
+    target.setAttribute('aria-describedby', this.popover.id);
+  }
+
+  /**
+   * Hide the popover.
+   * 
+   * @private
+   */
+  hide() {
+    this.popover.hidden = true;
+    this.target?.removeAttribute('aria-describedby');
+    this.target = null;
   }
 }
 
 /**
- * A generic form component.
- * 
+ * @enum {string} The forms a roll can be copied in
+ * @readonly
+ */
+const RollFormat = Object.freeze({
+  /** Plain text, e.g. "[+][−][ ][+] = +1 Fair" */
+  Plain: 'plain',
+  /** Markdown for posts, quoted with who rolled it and a link back */
+  Markdown: 'markdown',
+  /** Chat's own formatting, which only works on a single line */
+  Chat: 'chat',
+});
+
+/**
+ * Utilities for writing rolls out as text.
  * @abstract
-*/
-class FormComponent {
-  constructor() {
-    /** @type {HTMLElement} */
-    this.element = document.createElement('label');
+ */
+class RollText {
+  /**
+   * Write the converted dice in a message out as text, e.g. "[+][−][ ][+] = +1 Fair (Fight +3 → +4 Great)".
+   * 
+   * The faces come from the scores already written on each die, so they match what's drawn.
+   * 
+   * @public
+   * @param {HTMLElement} message The chat message element
+   * @param {RollFormat} format The form to write the roll in
+   * @param {UserConfig} userConfig The user configuration
+   * @returns {string} The roll as text
+   */
+  static format(message, format, userConfig) {
+    const roomId = ChatUtil.getRoomId(message);
+    const mode = userConfig.modeIn(roomId);
+    const settings = userConfig.settingsIn(roomId);
+    const dice = Array.from(message.querySelectorAll(`.${HtmlClass.FudgeDie}`));
+    const d6s = dice.map(die => Number(die.getAttribute(HtmlAttribute.DataD6Score)));
+    const result = mode.result(d6s, {
+      text: ChatUtil.getMessageText(message),
+      userConfig: settings,
+      opposing: ChatService.findOpposingRoll(message, mode),
+    });
+
+    const faces = dice.map(die => mode.faceText(Number(die.getAttribute(HtmlAttribute.DataFudgeScore)))).join('');
+    const summary = mode.summarize(result, settings);
+    if (format === RollFormat.Plain) {
+      return `${faces} = ${summary}`;
+    }
+
+    const { messageId, userName } = ChatUtil.getMessageInfo(message);
+    const roll = `\`${faces}\` = **${RollText.escape(summary)}**`;
+    const who = userName ? RollText.escape(userName) : 'Someone';
+    const source = messageId ? `[${who}](${location.origin}/transcript/message/${messageId}#${messageId})` : who;
+
+    if (format === RollFormat.Markdown) {
+      return `> ${roll}\n>\n> — ${source}`;
+    }
+    return `${source} rolled ${roll}`;
+  }
+
+  /**
+   * Escape the characters that Markdown and chat formatting would read as formatting.
+   * 
+   * @private
+   * @param {string} text The text to escape
+   * @returns {string} The escaped text
+   */
+  static escape(text) {
+    return text.replace(/[\\`*_[\]]/g, '\\$&');
+  }
+}
+
+/**
+ * Manager for the menu that copies a roll as text, opened from the copy button after each converted roll.
+ */
+class RollCopyService {
+  /**
+   * Create a new roll copy service.
+   * 
+   * @param {UserConfig} userConfig The user configuration
+   */
+  constructor(userConfig) {
+    this.userConfig = userConfig;
+    /** @type {HTMLButtonElement | null} */
+    this.button = null;
+  }
+
+  /**
+   * Create the menu and start listening for clicks on copy buttons.
+   * 
+   * @public
+   */
+  init() {
+    const header = document.createElement('h3');
+    header.id = 'fudge-copy-menu-header';
+    header.innerText = 'Copy roll as';
+
+    const options = document.createElement('div');
+    options.classList.add('fudge-menu-options');
+    options.append(
+      FormUtil.createButton('Plain text', () => this.copy(RollFormat.Plain)),
+      FormUtil.createButton('Markdown', () => this.copy(RollFormat.Markdown)),
+      FormUtil.createButton('Chat message', () => this.copy(RollFormat.Chat)),
+    );
 
-    /**
-     * The onChange callback. Overwrite this to listen to changes.
-     * @param {boolean} value The new value
-     */
-    this.onChange = () => null;
+    this.status = document.createElement('p');
+    this.status.setAttribute('role', 'status');
+
+    this.fallbackText = document.createElement('textarea');
+    this.fallbackText.readOnly = true;
+    this.fallbackText.rows = 3;
+    this.fallbackText.hidden = true;
+
+    this.menu = document.createElement('section');
+    this.menu.id = 'fudge-copy-menu';
+    this.menu.classList.add('fudge-menu', 'fudge-copy-menu');
+    this.menu.setAttribute('aria-labelledby', header.id);
+    this.menu.append(header, options, this.status, this.fallbackText);
+    document.body.appendChild(this.menu);
+
+    document.addEventListener('click', event => {
+      const button = event.target instanceof Element ? event.target.closest(`.${HtmlClass.FudgeCopyButton}`) : null;
+      if (button && button !== this.button) {
+        this.open(button);
+      } else if (button || !this.menu.contains(event.target)) {
+        this.close(false);
+      }
+    });
+
+    this.menu.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.close(true);
+      }
+    });
   }
 
   /**
-   * Alert listeners to a change.
+   * Open the menu underneath a copy button.
    * 
-   * @protected
+   * @private
+   * @param {HTMLButtonElement} button The copy button
    */
-  invokeChangeCallback() {
-    this.onChange(this.value);
+  open(button) {
+    this.close(false);
+
+    this.button = button;
+    this.button.setAttribute('aria-controls', this.menu.id);
+    this.button.setAttribute('aria-expanded', 'true');
+
+    this.status.innerText = '';
+    this.fallbackText.hidden = true;
+
+    const rect = button.getBoundingClientRect();
+    this.menu.style.left = `${rect.left + window.scrollX}px`;
+    this.menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    this.menu.classList.add('fudge-menu--open');
+    this.menu.querySelector('button')?.focus();
   }
-}
 
-/**
- * A color picker for setting fudge dice colors.
- */
-class ColorPickerComponent extends FormComponent {
   /**
-   * Get or set the value of this color picker.
+   * Close the menu.
    * 
-   * @public
-   * @returns {string} The color value
+   * @private
+   * @param {boolean} returnFocus Whether to move focus back to the copy button
    */
-  get value() {
-    return this.text.value;
-  }
-
-  set value(newValue) {
-    let updated = false;
-    if (this.picker.value !== newValue) {
-      this.picker.value = newValue;
-      updated = true;
-    }
-    if (this.text.value !== newValue) {
-      this.text.value = newValue;
-      updated = true;
-    }
-    if (updated) {
-      this.invokeChangeCallback();
+  close(returnFocus) {
+    this.menu.classList.remove('fudge-menu--open');
+    this.button?.setAttribute('aria-expanded', 'false');
+    if (returnFocus) {
+      this.button?.focus();
     }
+    this.button = null;
   }
 
   /**
-   * Create a new color picker component.
-   * @param {string} labelText The text for this picker
-   * @param {string} defaultValue The default color value
+   * Copy the roll the menu was opened for, falling back to showing it for a manual copy.
+   * 
+   * @private
+   * @param {RollFormat} format The form to copy the roll in
    */
-  constructor(labelText, defaultValue) {
-    super();
-    this.picker = document.createElement('input');
-    this.picker.type = 'color';
-    this.picker.addEventListener('change', () => {
-      this.value = this.picker.value;
-    });
-
-    this.text = document.createElement('input');
-    this.text.type = 'text';
-    this.text.maxLength = 7;
-    this.text.pattern = '#([a-zA-Z0-9]{3}|[a-zA-Z0-9]{6})';
-    this.text.addEventListener('change', () => {
-      this.value = this.text.value;
-    });
-
-    const label = document.createElement('span');
-    label.innerText = labelText;
-
-    this.element = document.createElement('label');
-    this.element.append(this.picker, this.text, label);
-    this.element.classList.add('color-picker');
+  copy(format) {
+    const message = this.button ? ChatUtil.getMessageElement(this.button) : null;
+    if (!message) {
+      this.close(false);
+      return;
+    }
 
-    this.value = defaultValue;
+    const text = RollText.format(message, format, this.userConfig);
+    FileUtil.copy(text)
+      .then(() => this.close(true))
+      .catch(() => {
+        this.fallbackText.value = text;
+        this.fallbackText.hidden = false;
+        this.fallbackText.select();
+        this.status.innerText = 'Couldn\'t copy automatically. The text is selected below; copy it from there.';
+      });
   }
 }
 
 /**
- * A checkbox for toggling settings.
+ * @typedef {Object} SavedRoll
+ * @property {number} count The number of dice to roll
+ * @property {string} skill The skill or approach being rolled, if any
+ * @property {number} modifier The skill's rating or other modifier
+ * @property {string} reason What the roll is for, if anything
  */
-class ToggleComponent extends FormComponent {
+
+/**
+ * @typedef {Object} UserRolls
+ * @property {SavedRoll[]} recent The rolls most recently composed, newest first
+ * @property {SavedRoll[]} favorites The rolls saved as favorites
+ */
+
+/**
+ * Utilities for writing roll messages.
+ * @abstract
+ */
+class RollComposer {
   /**
-   * Get or set the value of this toggle component.
+   * Write a roll as a chat message, e.g. "4d6 4dF Fight +3, swing at the goblin".
+   * 
+   * The d6s are what chat rolls. The dF marks the roll as fudge dice, and the skill and modifier are
+   * written the way {@link ModifierParser} reads them back when the roll comes in. The reason goes after
+   * a comma, so the parser doesn't take it for the modifier's label.
    * 
    * @public
-   * @returns {boolean} The toggle value
+   * @param {SavedRoll} roll The roll
+   * @returns {string} The chat message
    */
-  get value() {
-    return this.input.checked;
-  }
+  static format(roll) {
+    let text = `${roll.count}d6 ${roll.count}dF`;
 
-  set value(newValue) {
-    if (this.input.checked !== newValue) {
-      this.input.checked = newValue;
-      this.invokeChangeCallback();
+    const skill = roll.skill.trim();
+    const hasModifier = skill !== '' || roll.modifier !== 0;
+    if (hasModifier) {
+      const sign = roll.modifier < 0 ? '-' : '+';
+      text += ` ${skill ? `${skill} ` : ''}${sign}${Math.abs(roll.modifier)}`;
+    }
+
+    const reason = roll.reason.trim();
+    if (reason) {
+      text += hasModifier ? `, ${reason}` : `: ${reason}`;
     }
+
+    return text;
   }
 
   /**
-   * Create a new toggle component.
+   * Add a roll to the front of a list, removing any copy of it further down.
    * 
-   * @param {string} labelText The text for this element
-   * @param {boolean} defaultValue The default toggle value
+   * @public
+   * @param {SavedRoll[]} list The list
+   * @param {SavedRoll} roll The roll to add
+   * @param {number} [limit] The most rolls to keep
+   * @returns {SavedRoll[]} The new list
    */
-  constructor(labelText, defaultValue) {
-    super();
-    this.input = document.createElement('input');
-    this.input.type = 'checkbox';
-    this.input.addEventListener('change', () => {
-      this.invokeChangeCallback();
-    });
-
-    const label = document.createElement('span');
-    label.innerText = labelText;
-
-    this.element = document.createElement('label');
-    this.element.append(this.input, label);
-    this.element.classList.add('toggler');
+  static addTo(list, roll, limit = Infinity) {
+    return [roll, ...RollComposer.removeFrom(list, roll)].slice(0, limit);
+  }
 
-    this.value = defaultValue;
+  /**
+   * Remove every copy of a roll from a list.
+   * 
+   * @public
+   * @param {SavedRoll[]} list The list
+   * @param {SavedRoll} roll The roll to remove
+   * @returns {SavedRoll[]} The new list
+   */
+  static removeFrom(list, roll) {
+    const text = RollComposer.format(roll);
+    return list.filter(other => RollComposer.format(other) !== text);
   }
 }
 
 /**
- * Manager for the fudge dice configuration menu.
+ * Manager for the quick-roll composer next to the chat input.
  */
-class ConfigMenuService {
+class RollComposerService {
   /**
-   * Create a new config menu service.
+   * Create a new roll composer service.
    * 
    * @param {UserConfig} userConfig The user configuration
-   * @param {CssService} cssService The css service
    */
-  constructor(userConfig, cssService) {
+  constructor(userConfig) {
     this.userConfig = userConfig;
-    this.cssService = cssService;
   }
 
   /**
-   * Initialise the config menu service and create the UI.
+   * How many recent rolls to keep for each user.
+   * @readonly
+   */
+  static recentLimit = 5;
+
+  /**
+   * Create the composer next to the chat input, if there is one.
    * 
    * @public
    */
   init() {
-    this.createComponents();
-    this.createUi();
+    this.input = document.getElementById('input');
+    if (!this.input) {
+      return;
+    }
+
+    this.countInput = new NumberComponent('Dice', 4);
+    this.countInput.input.min = '1';
+    this.skillInput = new TextComponent('Skill', '', 'e.g. Fight');
+    this.modifierInput = new NumberComponent('Modifier', 0);
+    this.reasonInput = new TextComponent('Reason', '', 'e.g. Swing at the goblin');
+
+    const fields = document.createElement('div');
+    fields.classList.add('fudge-menu-options');
+    fields.append(this.countInput.element, this.skillInput.element, this.modifierInput.element, this.reasonInput.element);
+
+    const fillButton = FormUtil.createButton('Fill in message', () => this.fill(this.currentRoll));
+    const favoriteButton = FormUtil.createButton('Save as favorite', () => {
+      const rolls = this.userConfig.currentUserRolls;
+      this.userConfig.currentUserRolls = { ...rolls, favorites: RollComposer.addTo(rolls.favorites, this.currentRoll) };
+      this.userConfig.save();
+      this.render();
+    });
+
+    const header = document.createElement('h3');
+    header.id = 'fudge-composer-header';
+    header.innerText = 'Roll fudge dice';
+
+    const favoriteHeader = document.createElement('h4');
+    favoriteHeader.innerText = 'Favorites';
+    this.favoriteList = document.createElement('ul');
+    this.favoriteList.classList.add('fudge-composer-rolls');
+
+    const recentHeader = document.createElement('h4');
+    recentHeader.innerText = 'Recent';
+    this.recentList = document.createElement('ul');
+    this.recentList.classList.add('fudge-composer-rolls');
+
+    this.panel = document.createElement('section');
+    this.panel.id = 'fudge-composer';
+    this.panel.classList.add('fudge-menu', 'fudge-composer');
+    this.panel.setAttribute('aria-labelledby', header.id);
+    this.panel.append(header, fields, fillButton, ' ', favoriteButton, favoriteHeader, this.favoriteList, recentHeader, this.recentList);
+
+    this.panel.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.setOpen(false);
+      }
+    });
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.innerHTML = '&pm; roll';
+    this.button.title = 'Compose a fudge dice roll';
+    this.button.classList.add('fudge-composer-button');
+    this.button.setAttribute('aria-controls', this.panel.id);
+    this.button.setAttribute('aria-expanded', 'false');
+    this.button.addEventListener('click', () => this.setOpen(!this.panel.classList.contains('fudge-menu--open')));
+
+    const anchor = document.createElement('div');
+    anchor.classList.add('fudge-composer-anchor');
+    anchor.append(this.button, this.panel);
+    this.input.insertAdjacentElement('afterend', anchor);
+
+    this.render();
   }
 
   /**
-   * Create the backbone components used by the UI.
+   * The roll currently in the composer's fields.
    * 
    * @private
+   * @readonly
+   * @returns {SavedRoll} The roll
    */
-  createComponents() {
-    this.fudgeOn = new ToggleComponent('Use fudge dice here', this.userConfig.isActiveHere);
-    this.colorsOn = new ToggleComponent('Color the fudge dice', this.userConfig.useColors);
-    this.plusColorInput = new ColorPickerComponent('Plus color', this.userConfig.plusColor);
-    this.minusColorInput = new ColorPickerComponent('Minus color', this.userConfig.minusColor);
-
-    this.fudgeOn.onChange = value => {
-      if (value) {
-        this.userConfig.activateRoom();
-      } else {
-        this.userConfig.deactivateRoom();
-      }
-      this.userConfig.save();
-      this.cssService.update();
-    };
-
-    this.colorsOn.onChange = value => {
-      this.userConfig.useColors = value;
-      this.userConfig.save();
-      this.cssService.update();
+  get currentRoll() {
+    return {
+      count: Math.max(1, Math.round(this.countInput.value) || 1),
+      skill: this.skillInput.value.trim(),
+      modifier: Math.round(this.modifierInput.value) || 0,
+      reason: this.reasonInput.value.trim(),
     };
+  }
 
-    this.plusColorInput.onChange = value => {
-      this.userConfig.plusColor = value;
-      this.userConfig.save();
-      this.cssService.update();
-    };
+  /**
+   * Open or close the composer, moving focus into it when it opens and back to the chat input when it closes.
+   * 
+   * @private
+   * @param {boolean} open Whether the composer should be open
+   */
+  setOpen(open) {
+    this.panel.classList.toggle('fudge-menu--open', open);
+    this.button.setAttribute('aria-expanded', open.toString());
 
-    this.minusColorInput.onChange = value => {
-      this.userConfig.minusColor = value;
-      this.userConfig.save();
-      this.cssService.update();
-    };
+    if (open) {
+      this.countInput.input.focus();
+    } else if (this.panel.contains(document.activeElement)) {
+      this.input.focus();
+    }
   }
 
   /**
-   * Create the actual config menu UI.
+   * Fill in the chat input with a roll for the user to check and send, and remember it as a recent roll.
+   * 
+   * The roll goes in at the cursor, so anything the user has already typed is kept.
    * 
    * @private
+   * @param {SavedRoll} roll The roll
    */
-  createUi() {
-    const menuButton = this.createMenuButton();
-    const menu = this.createMenu();
-
-    const sidebarMenu = document.getElementById('sidebar-menu');
-    
-    sidebarMenu.append(' | ');
-    sidebarMenu.appendChild(menuButton);
-    sidebarMenu.insertAdjacentElement('afterend', menu);
+  fill(roll) {
+    const rolls = this.userConfig.currentUserRolls;
+    this.userConfig.currentUserRolls = { ...rolls, recent: RollComposer.addTo(rolls.recent, roll, RollComposerService.recentLimit) };
+    this.userConfig.save();
+    this.render();
 
-    menuButton.addEventListener('click', () => {
-      menu.classList.toggle('fudge-menu--open');
-    });
+    const { selectionStart: start, selectionEnd: end, value } = this.input;
+    const before = value.slice(0, start) && !/\s$/.test(value.slice(0, start)) ? ' ' : '';
+    const after = value.slice(end) && !/^\s/.test(value.slice(end)) ? ' ' : '';
+    this.input.setRangeText(`${before}${RollComposer.format(roll)}${after}`, start, end, 'end');
+    this.input.dispatchEvent(new Event('input', { bubbles: true }));
+    this.setOpen(false);
+    this.input.focus();
   }
 
   /**
-   * Create the element that opens/closes the menu.
+   * Put a roll into the composer's fields, to change it before rolling.
    * 
    * @private
+   * @param {SavedRoll} roll The roll
    */
-  createMenuButton() {
-    const button = document.createElement('a');
-    button.innerHTML = '&pm; fudge dice';
-    button.classList.add('fudge-menu-button');
-    return button;
+  load(roll) {
+    this.countInput.setValueSilently(roll.count);
+    this.skillInput.setValueSilently(roll.skill);
+    this.modifierInput.setValueSilently(roll.modifier);
+    this.reasonInput.setValueSilently(roll.reason);
+    this.countInput.input.focus();
   }
 
   /**
-   * Create the main menu UI element.
+   * Draw the lists of favorite and recent rolls, e.g. after they're changed in another tab.
    * 
-   * @private
+   * @public
    */
-  createMenu() {
-    const menu = document.createElement('section');
-    menu.classList.add('fudge-menu');
+  render() {
+    if (!this.panel) {
+      return;
+    }
 
-    const header = document.createElement('h3');
-    header.innerText = 'Fudge dice config';
-    menu.appendChild(header);
+    const rolls = this.userConfig.currentUserRolls;
+    this.favoriteList.replaceChildren(...this.renderRolls(rolls.favorites, 'No favorites yet.', roll => {
+      const current = this.userConfig.currentUserRolls;
+      this.userConfig.currentUserRolls = { ...current, favorites: RollComposer.removeFrom(current.favorites, roll) };
+      this.userConfig.save();
+      this.render();
+    }));
+    this.recentList.replaceChildren(...this.renderRolls(rolls.recent, 'No recent rolls yet.'));
+  }
 
-    const options = document.createElement('div');
-    options.classList.add('fudge-menu-options');
-    options.append(
-      this.fudgeOn.element,
-      this.colorsOn.element,
-      this.plusColorInput.element,
-      this.minusColorInput.element
-    );
-    menu.appendChild(options);
+  /**
+   * Draw a list of rolls, each with a button to fill it straight in and one to edit it first.
+   * 
+   * @private
+   * @param {SavedRoll[]} rolls The rolls
+   * @param {string} emptyText The text to show if there are no rolls
+   * @param {(roll: SavedRoll) => void} [remove] Removes a roll from the list, if rolls can be removed
+   * @returns {HTMLElement[]} The list items
+   */
+  renderRolls(rolls, emptyText, remove) {
+    if (rolls.length === 0) {
+      const item = document.createElement('li');
+      item.innerText = emptyText;
+      return [item];
+    }
 
-    return menu;
+    return rolls.map(roll => {
+      const rollButton = FormUtil.createButton(RollComposer.format(roll), () => this.fill(roll));
+      rollButton.classList.add('fudge-composer-roll');
+      const editButton = FormUtil.createButton('Edit', () => this.load(roll));
+
+      const item = document.createElement('li');
+      item.append(rollButton, ' ', editButton);
+      if (remove) {
+        item.append(' ', FormUtil.createButton('Remove', () => remove(roll)));
+      }
+      return item;
+    });
   }
 }
 
@@ -873,21 +6758,81 @@ class Main {
    * @public
    */
   static start() {
-    // Remain inactive for non-RPG.SE chat rooms
-    if (!ChatUtil.chatroomIsOnRpgSe()) { return; }
+    // Remain inactive on chat servers we don't know our way around
+    if (!ChatUtil.server) { return; }
 
     const userConfig = new UserConfig();
     userConfig.init();
 
-    const chatMessages = new ChatService();
-    chatMessages.init();
-
     const cssManager = new CssService(userConfig);
     cssManager.init();
+
+    // Other rooms don't have dice, so only RPG.SE rooms run by default, and the rest must be opted in
+    if (ChatUtil.server.isOnHomeSite() || userConfig.isOptedInHere) {
+      Main.run(userConfig, cssManager);
+      return;
+    }
+
+    const optIn = new OptInService(userConfig);
+    optIn.onOptIn = () => Main.run(userConfig, cssManager);
+    optIn.init();
+  }
+
+  /**
+   * Run the script on this page.
+   * 
+   * @private
+   * @param {UserConfig} userConfig The user configuration
+   * @param {CssService} cssManager The css service
+   */
+  static run(userConfig, cssManager) {
+    if (ChatUtil.roomId !== null && userConfig.recordVisit()) {
+      userConfig.save();
+    }
+
+    const rollStore = new RollStore();
+    rollStore.init();
+
+    const historyPanel = new HistoryPanelService(rollStore);
+
+    const announcer = new Announcer();
+    announcer.init();
+
+    const messageViews = new MessageViews();
+    messageViews.init();
+
+    const chatMessages = new ChatService(userConfig, announcer, messageViews);
+    chatMessages.onRoll = record => {
+      rollStore.put(record)
+        .then(() => historyPanel.update())
+        .catch(e => Log.error('Failed to save a roll.', e));
+    };
+    chatMessages.init();
+
     cssManager.update();
 
-    const configMenu = new ConfigMenuService(userConfig, cssManager);
-    configMenu.init();
+    // The menu's settings are for one room, so pages that mix rooms, like user pages, go without it.
+    /** @type {ConfigMenuService | null} */
+    let configMenu = null;
+    if (ChatUtil.roomId !== null && document.getElementById('sidebar-menu')) {
+      configMenu = new ConfigMenuService(userConfig, cssManager, chatMessages, historyPanel, new ExportService(userConfig, chatMessages));
+      configMenu.init();
+      historyPanel.init();
+    }
+
+    const composer = new RollComposerService(userConfig);
+    composer.init();
+
+    new RollPopoverService(userConfig).init();
+    new RollCopyService(userConfig).init();
+
+    userConfig.onExternalChange = () => {
+      cssManager.update();
+      chatMessages.refresh();
+      configMenu?.updateComponents();
+      composer.render();
+    };
+    userConfig.watch();
 
     Log.log('Started!');
   }